@@ -0,0 +1,103 @@
+// Consent Management Module
+// Categories:
+//   personalization - counters that drive evolutions, evolution history and state
+//   analytics       - the detailed interaction log, experiments and remote storage
+// Nothing in a category is stored or used until the visitor grants it.
+// Do Not Track / Global Privacy Control count as a refusal until the visitor
+// explicitly opts in.
+export class ConsentManager {
+    constructor() {
+        this.categories = ['personalization', 'analytics'];
+        this.listeners = [];
+        this.state = this.loadState() || this.defaultState();
+    }
+
+    defaultState() {
+        const state = { decidedAt: null, fromBrowserSignal: false };
+        this.categories.forEach(category => {
+            state[category] = false;
+        });
+
+        if (this.hasPrivacySignal()) {
+            state.fromBrowserSignal = true;
+            state.decidedAt = new Date().toISOString();
+        }
+        return state;
+    }
+
+    hasPrivacySignal() {
+        return navigator.globalPrivacyControl === true ||
+            navigator.doNotTrack === '1' ||
+            window.doNotTrack === '1';
+    }
+
+    // Whether the banner still needs to ask
+    needsDecision() {
+        return !this.state.decidedAt;
+    }
+
+    hasConsent(category) {
+        return this.state[category] === true;
+    }
+
+    hasAnyConsent() {
+        return this.categories.some(category => this.hasConsent(category));
+    }
+
+    grantConsent(categories = this.categories) {
+        return this.update([].concat(categories), true);
+    }
+
+    revokeConsent(categories = this.categories) {
+        return this.update([].concat(categories), false);
+    }
+
+    update(categories, granted) {
+        const changed = [];
+        categories.forEach(category => {
+            if (!this.categories.includes(category)) {
+                throw new Error(`Unknown consent category "${category}"`);
+            }
+            if (this.state[category] !== granted) {
+                this.state[category] = granted;
+                changed.push(category);
+            }
+        });
+
+        this.state.decidedAt = new Date().toISOString();
+        this.state.fromBrowserSignal = false;
+        this.saveState();
+
+        if (changed.length) {
+            this.listeners.forEach(listener => listener({ categories: changed, granted }));
+        }
+        return this.getState();
+    }
+
+    // listener({ categories, granted }) runs whenever consent changes
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    getState() {
+        return { ...this.state };
+    }
+
+    saveState() {
+        try {
+            localStorage.setItem('portfolioConsent', JSON.stringify(this.state));
+        } catch (e) {
+            console.warn('Could not save consent:', e);
+        }
+    }
+
+    loadState() {
+        try {
+            const saved = localStorage.getItem('portfolioConsent');
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.warn('Could not load consent:', e);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,303 @@
+// Contact Form Module
+// Validates the contact form inline and posts it to the configured endpoint,
+// falling back to mailto when none is set. Messages that can't be delivered
+// (offline, server errors) are queued in localStorage and retried later.
+import { loadPortfolioConfig } from './portfolioConfig.js';
+import { createId } from './utils.js';
+
+export class ContactForm {
+    constructor(interactionTracker, config = loadPortfolioConfig().contact, notify = () => {}) {
+        this.tracker = interactionTracker;
+        this.config = config;
+        this.notify = notify;
+        this.form = document.querySelector('.contact-form');
+        this.renderedAt = Date.now();
+        this.retryTimer = null;
+        this.flushing = false;
+        this.init();
+    }
+
+    static get fields() {
+        return {
+            name: { label: 'Name', required: true, maxLength: 100 },
+            email: { label: 'Email', required: true, maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/ },
+            subject: { label: 'Project type', required: true },
+            message: { label: 'Message', required: true, minLength: 10, maxLength: 5000 }
+        };
+    }
+
+    init() {
+        if (!this.form) return;
+
+        // Validation is ours so errors can be shown inline
+        this.form.noValidate = true;
+
+        this.form.addEventListener('focusout', (e) => {
+            const field = e.target.id;
+            if (ContactForm.fields[field] && e.target.value) {
+                this.showFieldError(field, this.validateField(field, e.target.value));
+            }
+        });
+
+        this.form.addEventListener('input', (e) => {
+            if (e.target.getAttribute('aria-invalid') === 'true') {
+                this.showFieldError(e.target.id, this.validateField(e.target.id, e.target.value));
+            }
+        });
+
+        // The chosen project type says a lot about who is visiting
+        document.getElementById('subject')?.addEventListener('change', (e) => {
+            this.tracker.trackContactSubject(e.target.value);
+        });
+
+        window.addEventListener('online', () => this.flushQueue());
+        this.flushQueue();
+    }
+
+    getValues() {
+        const values = {};
+        Object.keys(ContactForm.fields).forEach(field => {
+            values[field] = (document.getElementById(field)?.value || '').trim();
+        });
+        return values;
+    }
+
+    validateField(field, value) {
+        const rules = ContactForm.fields[field];
+        value = (value || '').trim();
+
+        if (!value) {
+            return rules.required ? `${rules.label} is required.` : null;
+        }
+        if (rules.minLength && value.length < rules.minLength) {
+            return `${rules.label} must be at least ${rules.minLength} characters.`;
+        }
+        if (rules.maxLength && value.length > rules.maxLength) {
+            return `${rules.label} must be at most ${rules.maxLength} characters.`;
+        }
+        if (rules.pattern && !rules.pattern.test(value)) {
+            return `Please enter a valid ${rules.label.toLowerCase()} address.`;
+        }
+        return null;
+    }
+
+    validate(values) {
+        const errors = {};
+        Object.keys(ContactForm.fields).forEach(field => {
+            const error = this.validateField(field, values[field]);
+            if (error) errors[field] = error;
+        });
+        return errors;
+    }
+
+    showFieldError(field, message) {
+        const input = document.getElementById(field);
+        if (!input) return;
+
+        const errorId = `${field}-error`;
+        let error = document.getElementById(errorId);
+        if (!error) {
+            error = document.createElement('p');
+            error.id = errorId;
+            error.className = 'field-error';
+            error.setAttribute('role', 'alert');
+            input.insertAdjacentElement('afterend', error);
+        }
+
+        error.textContent = message || '';
+        error.hidden = !message;
+        input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        if (message) {
+            input.setAttribute('aria-describedby', errorId);
+        } else {
+            input.removeAttribute('aria-describedby');
+        }
+    }
+
+    showErrors(errors) {
+        Object.keys(ContactForm.fields).forEach(field => this.showFieldError(field, errors[field]));
+    }
+
+    // Returns the reason a submission looks automated, or null
+    detectSpam() {
+        if (document.getElementById('website')?.value) {
+            return 'honeypot';
+        }
+        if (Date.now() - this.renderedAt < this.config.minFillTime) {
+            return 'too_fast';
+        }
+        return null;
+    }
+
+    // Resolves to { status } where status is sent, queued, mailto, failed,
+    // invalid or blocked
+    async submit() {
+        const values = this.getValues();
+        const errors = this.validate(values);
+        this.showErrors(errors);
+
+        if (Object.keys(errors).length) {
+            document.getElementById(Object.keys(errors)[0])?.focus();
+            return { status: 'invalid', errors };
+        }
+
+        const spam = this.detectSpam();
+        if (spam) {
+            this.tracker.trackInteraction('contact_spam_blocked', { reason: spam });
+            this.reset();
+            return { status: 'blocked' };
+        }
+
+        const submission = {
+            id: createId(),
+            ...values,
+            createdAt: new Date().toISOString(),
+            attempts: 0
+        };
+
+        if (!this.config.endpoint) {
+            this.openMailto(submission);
+            this.tracker.trackConversion('contact_submit', { subject: values.subject, status: 'mailto' });
+            this.reset();
+            return { status: 'mailto' };
+        }
+
+        if (navigator.onLine === false) {
+            this.enqueue(submission);
+            this.reset();
+            return { status: 'queued' };
+        }
+
+        this.setSending(true);
+        try {
+            await this.send(submission);
+            this.tracker.trackConversion('contact_submit', { subject: values.subject, status: 'sent' });
+            this.reset();
+            return { status: 'sent' };
+        } catch (e) {
+            if (e.retryable) {
+                this.enqueue(submission);
+                this.reset();
+                return { status: 'queued' };
+            }
+            // Not a conversion: experiments count every conversion as a success
+            this.tracker.trackInteraction('contact_submit_failed', { subject: values.subject, reason: e.message });
+            return { status: 'failed' };
+        } finally {
+            this.setSending(false);
+        }
+    }
+
+    // Network errors, 429 and 5xx are worth retrying; other failures are not
+    async send(submission) {
+        const { id, name, email, subject, message, createdAt } = submission;
+        let response;
+
+        try {
+            response = await fetch(this.config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify({ id, name, email, subject, message, createdAt })
+            });
+        } catch (e) {
+            const error = new Error('network_error');
+            error.retryable = true;
+            throw error;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`http_${response.status}`);
+            error.retryable = response.status === 429 || response.status >= 500;
+            throw error;
+        }
+    }
+
+    openMailto(submission) {
+        const subject = `Portfolio enquiry: ${submission.subject}`;
+        const body = `${submission.message}\n\n${submission.name} <${submission.email}>`;
+        window.location.href = `mailto:${this.config.mailto}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    }
+
+    getQueue() {
+        try {
+            return JSON.parse(localStorage.getItem('contactQueue')) || [];
+        } catch (e) {
+            console.warn('Could not read queued messages:', e);
+            return [];
+        }
+    }
+
+    saveQueue(queue) {
+        try {
+            if (queue.length) {
+                localStorage.setItem('contactQueue', JSON.stringify(queue));
+            } else {
+                localStorage.removeItem('contactQueue');
+            }
+        } catch (e) {
+            console.warn('Could not save queued messages:', e);
+        }
+    }
+
+    enqueue(submission) {
+        this.saveQueue([...this.getQueue(), submission]);
+        this.tracker.trackInteraction('contact_queued', { subject: submission.subject });
+        this.scheduleRetry(submission.attempts);
+    }
+
+    async flushQueue() {
+        const queue = this.getQueue();
+        if (this.flushing || !queue.length || !this.config.endpoint || navigator.onLine === false) return;
+
+        this.flushing = true;
+        clearTimeout(this.retryTimer);
+        const remaining = [];
+
+        for (const submission of queue) {
+            try {
+                await this.send(submission);
+                this.tracker.trackConversion('contact_submit', { subject: submission.subject, status: 'sent', queued: true });
+                this.notify('Your queued message has been sent!', 'success');
+            } catch (e) {
+                submission.attempts++;
+                if (e.retryable && submission.attempts < this.config.maxAttempts) {
+                    remaining.push(submission);
+                } else {
+                    this.tracker.trackInteraction('contact_submit_failed', { subject: submission.subject, reason: e.message, queued: true });
+                    this.notify('A queued message could not be delivered. Please email me directly.', 'error');
+                }
+            }
+        }
+
+        // Messages queued while this ran were not in `queue`; keep them
+        const sentOrDropped = new Set(queue.map(submission => submission.id));
+        remaining.push(...this.getQueue().filter(submission => !sentOrDropped.has(submission.id)));
+        this.saveQueue(remaining);
+        this.flushing = false;
+
+        if (remaining.length) {
+            this.scheduleRetry(Math.min(...remaining.map(submission => submission.attempts)));
+        }
+    }
+
+    // Exponential backoff, capped at five minutes
+    scheduleRetry(attempts) {
+        clearTimeout(this.retryTimer);
+        const delay = Math.min(this.config.retryDelay * 2 ** attempts, 5 * 60 * 1000);
+        this.retryTimer = setTimeout(() => this.flushQueue(), delay);
+    }
+
+    setSending(sending) {
+        const button = this.form?.querySelector('[type="submit"]');
+        if (button) {
+            button.disabled = sending;
+            button.setAttribute('aria-busy', String(sending));
+        }
+    }
+
+    reset() {
+        this.form?.reset();
+        this.showErrors({});
+        this.renderedAt = Date.now();
+    }
+}
@@ -0,0 +1,315 @@
+// Data Portability Module
+// Exports everything the site stores about a visitor (tracker data, evolution
+// history and state, session recordings) as JSON, or interactions and history
+// as CSV, and imports
+// an export back in, either merged into the current data or replacing it.
+// Visitors use the export for data access requests; developers import a
+// recorded visit to reproduce an evolution locally.
+export class DataImportError extends Error {
+    constructor(errors) {
+        super(`Invalid data export:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'DataImportError';
+        this.errors = errors;
+    }
+}
+
+export class DataPortability {
+    constructor(interactionTracker, evolutionEngine, sessionRecorder) {
+        this.tracker = interactionTracker;
+        this.engine = evolutionEngine;
+        this.recorder = sessionRecorder;
+    }
+
+    exportData() {
+        return {
+            format: DataPortability.FORMAT,
+            version: DataPortability.VERSION,
+            exportedAt: new Date().toISOString(),
+            tracker: JSON.parse(JSON.stringify(this.tracker.getData())),
+            evolution: {
+                history: JSON.parse(JSON.stringify(this.engine.getEvolutionHistory())),
+                state: this.engine.loadEvolutionState() || { applied: [], lastAppliedTimes: {}, dismissed: [] }
+            },
+            recordings: JSON.parse(JSON.stringify(this.recorder.getRecordings())),
+            consent: this.tracker.consent.getState()
+        };
+    }
+
+    exportJSON() {
+        return JSON.stringify(this.exportData(), null, 2);
+    }
+
+    // kind: 'interactions' (one row per interaction) or 'history' (one row per evolution)
+    exportCSV(kind = 'interactions') {
+        if (kind === 'history') {
+            return this.toCSV(this.engine.getEvolutionHistory().map(({ timestamp, rule, description, condition, engagementScore }) => ({
+                timestamp, rule, description, condition, engagementScore
+            })));
+        }
+
+        return this.toCSV(this.tracker.getData().interactions.map(interaction => ({
+            time: new Date(interaction.timestamp).toISOString(),
+            ...interaction
+        })));
+    }
+
+    toCSV(rows) {
+        const flat = rows.map(row => this.flatten(row));
+        const columns = [...new Set(flat.flatMap(row => Object.keys(row)))];
+        const lines = flat.map(row => columns.map(column => this.escapeCSV(row[column])).join(','));
+        return [columns.map(column => this.escapeCSV(column)).join(','), ...lines].join('\r\n');
+    }
+
+    // { position: { x: 1 } } -> { 'position.x': 1 }; arrays are kept as JSON
+    flatten(object, prefix = '', out = {}) {
+        Object.entries(object).forEach(([key, value]) => {
+            const column = prefix ? `${prefix}.${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                this.flatten(value, column, out);
+            } else {
+                out[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+            }
+        });
+        return out;
+    }
+
+    escapeCSV(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        // Keep spreadsheets from running recorded text as a formula
+        if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    downloadJSON() {
+        this.download(`portfolio-data-${this.dateStamp()}.json`, this.exportJSON(), 'application/json');
+    }
+
+    downloadCSV(kind = 'interactions') {
+        this.download(`portfolio-${kind}-${this.dateStamp()}.csv`, this.exportCSV(kind), 'text/csv');
+    }
+
+    dateStamp() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    parse(source) {
+        if (typeof source !== 'string') return source;
+        try {
+            return JSON.parse(source);
+        } catch (e) {
+            throw new DataImportError([`Not valid JSON: ${e.message}`]);
+        }
+    }
+
+    validate(doc) {
+        const errors = [];
+        const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        const isCount = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+        const checkCounts = (value, path) => {
+            if (value === undefined) return;
+            if (!isObject(value)) {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            Object.entries(value).forEach(([key, count]) => {
+                if (!isCount(count)) errors.push(`${path}.${key} must be a non-negative number`);
+            });
+        };
+
+        if (!isObject(doc)) {
+            return ['Export must be a JSON object'];
+        }
+        if (doc.format !== DataPortability.FORMAT) {
+            errors.push(`"format" must be "${DataPortability.FORMAT}"`);
+        }
+        if (typeof doc.version !== 'number' || doc.version > DataPortability.VERSION) {
+            errors.push(`"version" must be a number no higher than ${DataPortability.VERSION}`);
+        }
+
+        const tracker = doc.tracker;
+        if (!isObject(tracker)) {
+            errors.push('"tracker" must be an object');
+        } else {
+            checkCounts(tracker.clicks, 'tracker.clicks');
+            checkCounts(tracker.timeOnSections, 'tracker.timeOnSections');
+            checkCounts(tracker.sectionViews, 'tracker.sectionViews');
+            if (tracker.scrollDepth !== undefined && !(isCount(tracker.scrollDepth) && tracker.scrollDepth <= 100)) {
+                errors.push('tracker.scrollDepth must be a percentage');
+            }
+            if (tracker.visitCount !== undefined && !isCount(tracker.visitCount)) {
+                errors.push('tracker.visitCount must be a non-negative number');
+            }
+            if (tracker.projects !== undefined) {
+                if (!isObject(tracker.projects)) {
+                    errors.push('tracker.projects must be an object');
+                } else {
+                    Object.entries(tracker.projects).forEach(([id, stats]) => checkCounts(stats, `tracker.projects.${id}`));
+                }
+            }
+            if (tracker.daily !== undefined && !isObject(tracker.daily)) {
+                errors.push('tracker.daily must be an object');
+            }
+            if (!Array.isArray(tracker.interactions)) {
+                errors.push('tracker.interactions must be an array');
+            } else {
+                tracker.interactions.forEach((interaction, i) => {
+                    if (!isObject(interaction) || typeof interaction.type !== 'string' || typeof interaction.timestamp !== 'number') {
+                        errors.push(`tracker.interactions[${i}] needs a "type" and a numeric "timestamp"`);
+                    }
+                });
+            }
+        }
+
+        const evolution = doc.evolution;
+        if (evolution !== undefined) {
+            if (!isObject(evolution)) {
+                errors.push('"evolution" must be an object');
+            } else {
+                if (evolution.history !== undefined && (!Array.isArray(evolution.history) ||
+                    evolution.history.some(event => !isObject(event) || typeof event.timestamp !== 'string' || typeof event.description !== 'string'))) {
+                    errors.push('evolution.history must be a list of { timestamp, description } events');
+                }
+                const state = evolution.state;
+                if (state !== undefined && (!isObject(state) || !Array.isArray(state.applied || []) || !Array.isArray(state.dismissed || []))) {
+                    errors.push('evolution.state must have "applied" and "dismissed" lists');
+                }
+            }
+        }
+
+        if (doc.recordings !== undefined && (!Array.isArray(doc.recordings) || doc.recordings.some(recording =>
+            !isObject(recording) || typeof recording.id !== 'string' || typeof recording.startedAt !== 'number' ||
+            !Array.isArray(recording.events) ||
+            recording.events.some(event => !isObject(event) || typeof event.type !== 'string' || typeof event.time !== 'number')))) {
+            errors.push('recordings must be a list of { id, startedAt, events } with timed events');
+        }
+
+        // Stop at the first few problems rather than flooding the report
+        return errors.slice(0, 20);
+    }
+
+    // mode: 'merge' adds the export to the current data, 'replace' swaps it in.
+    // Rejects with DataImportError if the export doesn't validate.
+    async importData(source, { mode = 'merge' } = {}) {
+        const doc = this.parse(source);
+        const errors = this.validate(doc);
+        if (errors.length) {
+            throw new DataImportError(errors);
+        }
+        if (!['merge', 'replace'].includes(mode)) {
+            throw new DataImportError([`Unknown import mode "${mode}" (expected merge or replace)`]);
+        }
+
+        // Exports from older versions are migrated like saved data
+        const imported = this.tracker.schema.upgrade(doc.tracker).data;
+        const history = (doc.evolution && doc.evolution.history) || [];
+        const state = (doc.evolution && doc.evolution.state) || null;
+        const recordings = doc.recordings || [];
+
+        if (mode === 'replace') {
+            this.tracker.data = imported;
+            this.engine.evolutionHistory = history.slice(-100);
+            if (state) this.engine.restoreEvolutionState(state);
+        } else {
+            this.tracker.data = this.mergeTrackerData(this.tracker.getData(), imported);
+            this.engine.evolutionHistory = this.mergeHistory(this.engine.getEvolutionHistory(), history);
+            if (state) this.engine.restoreEvolutionState(this.mergeEvolutionState(this.engine.loadEvolutionState(), state));
+        }
+
+        this.tracker.trimInteractions();
+        this.tracker.maxScrollDepth = this.tracker.data.scrollDepth / 100;
+        await Promise.all([
+            this.tracker.saveData(),
+            this.engine.saveEvolutionHistory(),
+            this.recorder.addRecordings(recordings, { replace: mode === 'replace' })
+        ]);
+        this.engine.checkEvolutionRules();
+
+        return {
+            mode,
+            interactions: doc.tracker.interactions.length,
+            history: history.length,
+            recordings: recordings.length
+        };
+    }
+
+    // Counters are added together, so importing the same export twice counts it twice
+    mergeTrackerData(current, imported) {
+        const merged = { ...current };
+        const addCounts = (a = {}, b = {}) => {
+            const sum = { ...a };
+            Object.entries(b).forEach(([key, value]) => {
+                sum[key] = (sum[key] || 0) + value;
+            });
+            return sum;
+        };
+        const mergeCounters = (a, b) => ({
+            ...a,
+            clicks: addCounts(a.clicks, b.clicks),
+            timeOnSections: addCounts(a.timeOnSections, b.timeOnSections),
+            sectionViews: addCounts(a.sectionViews, b.sectionViews),
+            scrollDepth: Math.max(a.scrollDepth || 0, b.scrollDepth || 0)
+        });
+
+        Object.assign(merged, mergeCounters(current, imported));
+        merged.visitCount = (current.visitCount || 0) + (imported.visitCount || 0);
+
+        merged.projects = { ...current.projects };
+        Object.entries(imported.projects || {}).forEach(([id, stats]) => {
+            merged.projects[id] = addCounts(merged.projects[id], stats);
+        });
+
+        merged.daily = { ...current.daily };
+        Object.entries(imported.daily || {}).forEach(([day, counts]) => {
+            merged.daily[day] = merged.daily[day]
+                ? { ...mergeCounters(merged.daily[day], counts), sessions: (merged.daily[day].sessions || 0) + (counts.sessions || 0) }
+                : counts;
+        });
+
+        // The same interaction may be in both, e.g. when importing an earlier
+        // export. Only exact copies are dropped: events of the same type can
+        // share a timestamp.
+        const existing = new Set(current.interactions.map(interaction => JSON.stringify(interaction)));
+        merged.interactions = [
+            ...current.interactions,
+            ...imported.interactions.filter(interaction => !existing.has(JSON.stringify(interaction)))
+        ].sort((a, b) => a.timestamp - b.timestamp);
+
+        return merged;
+    }
+
+    mergeHistory(current, imported) {
+        const seen = new Set(current.map(event => `${event.timestamp}:${event.description}`));
+        return [...current, ...imported.filter(event => !seen.has(`${event.timestamp}:${event.description}`))]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .slice(-100);
+    }
+
+    mergeEvolutionState(current, imported) {
+        current = current || { applied: [], lastAppliedTimes: {}, dismissed: [] };
+        const applied = [...(current.applied || [])];
+        (imported.applied || []).forEach(entry => {
+            if (!applied.some(existing => existing.name === entry.name)) applied.push(entry);
+        });
+        return {
+            applied,
+            lastAppliedTimes: { ...imported.lastAppliedTimes, ...current.lastAppliedTimes },
+            dismissed: [...new Set([...(current.dismissed || []), ...(imported.dismissed || [])])]
+        };
+    }
+}
+
+DataPortability.FORMAT = 'self-evolving-portfolio';
+DataPortability.VERSION = 1;
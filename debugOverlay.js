@@ -0,0 +1,193 @@
+// Debug Overlay Module
+// Developer view of what the tracker and evolution engine see right now:
+// counters, the current section, the engagement score and, for every rule,
+// whether its condition holds, what holds it back and how long its cooldown
+// has left. Rules can be forced or reset from here, and stored data cleared.
+// Opened with ?debug or Ctrl+Shift+D.
+import { escapeHTML } from './utils.js';
+
+export class DebugOverlay {
+    constructor(interactionTracker, evolutionEngine, sessionRecorder) {
+        this.tracker = interactionTracker;
+        this.engine = evolutionEngine;
+        this.recorder = sessionRecorder;
+        this.element = null;
+        this.renderedRules = null;
+        this.timer = null;
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'd') {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+
+        if (new URLSearchParams(window.location.search).has('debug')) {
+            this.open();
+        }
+    }
+
+    isOpen() {
+        return Boolean(this.element);
+    }
+
+    toggle() {
+        if (this.element) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.element) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'debug-overlay';
+        this.element.setAttribute('role', 'region');
+        this.element.setAttribute('aria-label', 'Debug overlay');
+        document.body.appendChild(this.element);
+
+        this.element.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-debug-action]')?.dataset.debugAction;
+            const rule = e.target.closest('[data-debug-rule]')?.dataset.debugRule;
+            if (action === 'close') this.close();
+            if (action === 'force') this.engine.forceRule(rule);
+            if (action === 'reset') this.engine.resetRule(rule);
+            if (action === 'clear-storage') this.clearStorage();
+            if (this.element) this.update();
+        });
+
+        this.render();
+        // Cooldowns count down even when nothing happens
+        this.timer = setInterval(() => this.update(), DebugOverlay.REFRESH_INTERVAL);
+    }
+
+    close() {
+        if (!this.element) return;
+
+        clearInterval(this.timer);
+        this.element.remove();
+        this.element = null;
+        this.renderedRules = null;
+    }
+
+    render() {
+        const rules = this.engine.evolutionRules;
+        this.renderedRules = rules;
+
+        this.element.innerHTML = `
+            <div class="debug-header">
+                <strong>Debug</strong>
+                <span class="debug-hint">Ctrl+Shift+D</span>
+                <button class="notice-close" data-debug-action="close" aria-label="Close debug overlay">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <dl class="debug-summary" data-debug-summary></dl>
+            <div class="debug-counters" data-debug-counters></div>
+            <table class="debug-rules">
+                <thead>
+                    <tr><th>Rule</th><th>Condition</th><th>Status</th><th>Cooldown</th><th></th></tr>
+                </thead>
+                <tbody>${rules.map(rule => `
+                    <tr data-debug-rule="${escapeHTML(rule.name)}">
+                        <th scope="row" title="${escapeHTML(rule.description)}">${escapeHTML(rule.name)}</th>
+                        <td>
+                            <code>${escapeHTML(rule.when)}</code>
+                            <span class="debug-signals" data-debug-field="signals"></span>
+                        </td>
+                        <td data-debug-field="status"></td>
+                        <td data-debug-field="cooldown"></td>
+                        <td class="debug-rule-actions">
+                            <button class="btn btn-secondary" data-debug-action="force">Force</button>
+                            <button class="btn btn-secondary" data-debug-action="reset">Reset</button>
+                        </td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+            <button class="btn btn-secondary" data-debug-action="clear-storage">
+                <i class="fas fa-trash"></i>
+                <span>Clear storage and reload</span>
+            </button>
+        `;
+        this.update();
+    }
+
+    // Values are filled in place, so buttons keep focus and hover between refreshes
+    update() {
+        if (!this.element) return;
+        if (this.engine.evolutionRules !== this.renderedRules) {
+            this.render();
+            return;
+        }
+
+        const data = this.tracker.getData();
+        const session = data.session || this.tracker.createSession();
+
+        this.element.querySelector('[data-debug-summary]').innerHTML = [
+            ['Section', this.tracker.currentSection],
+            ['Engagement', Math.round(this.tracker.getEngagementScore() * 10) / 10],
+            ['Segment', this.tracker.getMetrics().segment],
+            ['Visits', data.visitCount],
+            ['Scroll depth', `${data.scrollDepth}% (session ${session.scrollDepth}%)`],
+            ['Tab', this.tracker.sync.isLeader() ? 'leader' : 'follower'],
+            ['Dry run', this.engine.dryRun ? 'on' : 'off']
+        ].map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`).join('');
+
+        this.element.querySelector('[data-debug-counters]').innerHTML = [
+            this.renderCounts('Clicks', data.clicks, session.clicks),
+            this.renderCounts('Section views', data.sectionViews, session.sectionViews),
+            // Time is committed when the visible sections or the timing state change
+            this.renderCounts('Time on sections', data.timeOnSections, session.timeOnSections, value => `${Math.round(value / 1000)}s`)
+        ].join('');
+
+        const rows = new Map([...this.element.querySelectorAll('[data-debug-rule]')].map(row => [row.dataset.debugRule, row]));
+        this.engine.explainRules(this.renderedRules).forEach(result => {
+            const row = rows.get(result.rule);
+            if (!row) return;
+
+            row.classList.toggle('active', result.status === 'active');
+            row.classList.toggle('matched', result.matched);
+            row.querySelector('[data-debug-field="signals"]').textContent = `${result.matched} · ` +
+                result.signals.map(({ signal, value }) => `${signal} = ${this.formatValue(value)}`).join(', ');
+            row.querySelector('[data-debug-field="status"]').textContent = result.status.replace('_', ' ');
+            row.querySelector('[data-debug-field="cooldown"]').textContent =
+                result.cooldownRemaining ? `${Math.ceil(result.cooldownRemaining / 1000)}s` : '–';
+        });
+    }
+
+    renderCounts(title, lifetime, session = {}, format = value => value) {
+        return `
+            <table>
+                <caption>${escapeHTML(title)}</caption>
+                <thead><tr><th></th><th>Total</th><th>Session</th></tr></thead>
+                <tbody>${Object.entries(lifetime).map(([key, value]) => `
+                    <tr>
+                        <th scope="row">${escapeHTML(key)}</th>
+                        <td>${escapeHTML(format(value))}</td>
+                        <td>${escapeHTML(format(session[key] || 0))}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    // Start over as a first-time visitor; the consent decision is kept
+    async clearStorage() {
+        await this.engine.clearEvolutions();
+        this.engine.experiments.deleteData();
+        await this.recorder.deleteRecordings();
+        await this.tracker.deleteData();
+        window.location.reload();
+    }
+
+    formatValue(value) {
+        return typeof value === 'number' ? Math.round(value * 100) / 100 : JSON.stringify(value);
+    }
+}
+
+DebugOverlay.REFRESH_INTERVAL = 1000;
@@ -0,0 +1,76 @@
+// Engagement Model Module
+// Scores engagement from 0 to 100. Each signal is read from the tracker's
+// daily counters, decayed by age, capped and weighted, so old visits fade out
+// and a tab left open can't max out the score on its own.
+export class EngagementModel {
+    constructor(config = {}) {
+        this.halfLifeDays = config.halfLifeDays ?? 3;
+        this.signals = {};
+
+        Object.entries(EngagementModel.defaultSignals).forEach(([name, signal]) => {
+            this.registerSignal(name, signal);
+        });
+
+        // Config may tune weights and caps of the built-in signals
+        Object.entries(config.signals || {}).forEach(([name, options]) => {
+            if (this.signals[name]) {
+                Object.assign(this.signals[name], options);
+            } else {
+                console.warn(`Unknown engagement signal "${name}" in config`);
+            }
+        });
+    }
+
+    // signal: { read(counts) -> number, weight, cap, dailyCap, aggregate: 'sum' | 'max' }
+    registerSignal(name, signal) {
+        this.signals[name] = { aggregate: 'sum', dailyCap: Infinity, ...signal };
+    }
+
+    decay(ageDays) {
+        return Math.pow(0.5, ageDays / this.halfLifeDays);
+    }
+
+    // periods: [{ counts, ageDays }], counts shaped like the tracker's daily metrics.
+    // Each signal earns up to its share of the total weight, in points out of 100.
+    breakdown(periods) {
+        const totalWeight = Object.values(this.signals).reduce((total, signal) => total + Math.max(0, signal.weight), 0);
+
+        const signals = Object.entries(this.signals).map(([name, signal]) => {
+            const values = periods.map(({ counts, ageDays }) =>
+                Math.min(signal.read(counts) || 0, signal.dailyCap) * this.decay(ageDays));
+            const value = signal.aggregate === 'max'
+                ? Math.max(0, ...values)
+                : values.reduce((total, v) => total + v, 0);
+            const share = signal.cap > 0 ? Math.min(value / signal.cap, 1) : 0;
+
+            return {
+                signal: name,
+                value,
+                cap: signal.cap,
+                weight: signal.weight,
+                points: totalWeight ? (share * Math.max(0, signal.weight) / totalWeight) * 100 : 0
+            };
+        }).sort((a, b) => b.points - a.points);
+
+        return {
+            score: signals.reduce((total, signal) => total + signal.points, 0),
+            halfLifeDays: this.halfLifeDays,
+            signals
+        };
+    }
+
+    score(periods) {
+        return this.breakdown(periods).score;
+    }
+}
+
+EngagementModel.sum = (values = {}) => Object.values(values).reduce((a, b) => a + b, 0);
+
+// Time is in seconds and capped per day, so idle or background tabs count
+// for a few minutes at most
+EngagementModel.defaultSignals = {
+    clicks: { read: counts => EngagementModel.sum(counts.clicks), weight: 0.3, cap: 30 },
+    time: { read: counts => EngagementModel.sum(counts.timeOnSections) / 1000, weight: 0.4, cap: 600, dailyCap: 300 },
+    scroll: { read: counts => counts.scrollDepth || 0, weight: 0.2, cap: 100, aggregate: 'max' },
+    sectionViews: { read: counts => EngagementModel.sum(counts.sectionViews), weight: 0.1, cap: 12 }
+};
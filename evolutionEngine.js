@@ -1,130 +1,711 @@
 // Enhanced Evolution Engine Module
-class EvolutionEngine {
-    constructor(interactionTracker) {
+import { ExperimentManager } from './experimentManager.js';
+import { InteractionTracker } from './interactionTracker.js';
+import { loadPortfolioConfig } from './portfolioConfig.js';
+import { RuleCompiler } from './ruleCompiler.js';
+import { RuleSimulator } from './ruleSimulator.js';
+import { SEGMENT_PERSONAS } from './visitorSegments.js';
+
+export class EvolutionEngine {
+    constructor(interactionTracker, config = loadPortfolioConfig().evolution) {
         this.tracker = interactionTracker;
-        this.evolutionHistory = this.loadEvolutionHistory();
+        // In dry-run mode rules are evaluated and reported but never applied
+        this.dryRun = Boolean(config.dryRun) || new URLSearchParams(window.location.search).has('dryrun');
+        this.lastReport = [];
+        this.storage = this.tracker.storage;
+        this.consent = this.tracker.consent;
+        this.sync = this.tracker.sync;
+        this.experiments = new ExperimentManager(this.tracker);
+        this.evolutionHistory = [];
+        this.actions = this.setupActions();
+        this.ruleCompiler = this.createRuleCompiler();
         this.evolutionRules = this.setupEvolutionRules();
         this.currentEvolutions = new Set();
-        this.init();
+        this.appliedEvolutions = [];
+        this.lastAppliedTimes = new Map();
+        this.dismissedEvolutions = new Set();
+        this.recording = null;
+        this.replaying = false;
+        this.pendingRules = new Set();
+        this.checkTimer = null;
+        this.applyingRemote = false;
+        this.evolutionListeners = [];
+        this.consent.onChange(change => this.handleConsentChange(change));
+        // Rules only run once the saved history is in, so what they log is
+        // added to it instead of overwriting it
+        this.ready = this.loadEvolutionHistory().then(() => {
+            this.init();
+            return this;
+        });
     }
 
     init() {
+        // Restore last visit's evolutions before evaluating anything new
+        if (!this.dryRun) this.replayEvolutions();
         this.checkEvolutionRules();
-        // Check rules every 10 seconds for more responsive evolution
-        setInterval(() => this.checkEvolutionRules(), 10000);
-        
-        // Also check on specific events
-        document.addEventListener('click', () => {
-            setTimeout(() => this.checkEvolutionRules(), 1000);
+
+        // Re-evaluate rules only when data they depend on changes
+        this.tracker.on('*', event => this.scheduleRuleCheck(event.type));
+
+        // Only the leader tab applies new evolutions; the others mirror them
+        this.sync.onMessage((type, payload) => this.handleSyncMessage(type, payload));
+        this.sync.onLeaderChange(leader => {
+            if (leader) this.checkEvolutionRules();
+        });
+    }
+
+    handleSyncMessage(type, payload = {}) {
+        this.applyingRemote = true;
+        try {
+            switch (type) {
+                case 'evolution_applied':
+                    this.applyRemoteEvolution(payload.name, payload.appliedAt, payload.state);
+                    break;
+                case 'evolution_undone':
+                    this.undoRemoteEvolution(payload.name);
+                    break;
+                case 'rule_enabled':
+                    this.setRuleEnabled(payload.name, payload.enabled);
+                    break;
+                case 'evolution_logged':
+                    this.addHistoryEvent(payload);
+                    break;
+            }
+        } finally {
+            this.applyingRemote = false;
+        }
+    }
+
+    // Tell other tabs about an evolution change made here
+    broadcast(type, payload) {
+        if (!this.applyingRemote) {
+            this.sync.send(type, payload);
+        }
+    }
+
+    // Mirror an evolution another tab applied, quietly as on replay
+    applyRemoteEvolution(name, appliedAt, state) {
+        const rule = this.evolutionRules.find(r => r.name === name);
+        if (!rule || this.dryRun || this.currentEvolutions.has(name) || !this.consent.hasConsent('personalization')) return;
+
+        this.lastAppliedTimes.set(name, appliedAt);
+        this.currentEvolutions.add(name);
+
+        // One-off effects were already shown in the tab that applied them
+        if (this.isReplayable(rule.action)) {
+            this.replaying = true;
+            try {
+                this.appliedEvolutions.push(this.runAction(rule, appliedAt, state));
+            } finally {
+                this.replaying = false;
+            }
+        }
+        this.saveEvolutionState();
+        this.notifyEvolution({ type: 'applied', rule: name, action: rule.action, remote: true });
+    }
+
+    // Listen for evolutions being applied or undone in this tab, e.g. to record them
+    onEvolution(listener) {
+        this.evolutionListeners.push(listener);
+    }
+
+    notifyEvolution(change) {
+        this.evolutionListeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (e) {
+                console.error('Error in evolution listener:', e);
+            }
+        });
+    }
+
+    // Collect the rules an event affects, then check them once the burst of
+    // events has settled and the browser is idle
+    scheduleRuleCheck(eventType) {
+        this.evolutionRules
+            .filter(rule => rule.events.includes(eventType) || rule.events.includes('*'))
+            .forEach(rule => this.pendingRules.add(rule.name));
+        if (!this.pendingRules.size) return;
+
+        clearTimeout(this.checkTimer);
+        this.checkTimer = setTimeout(() => {
+            this.checkTimer = null;
+            this.whenIdle(() => this.runPendingRuleChecks());
+        }, 300);
+    }
+
+    whenIdle(callback) {
+        if (typeof window.requestIdleCallback === 'function') {
+            window.requestIdleCallback(callback, { timeout: 1000 });
+        } else {
+            setTimeout(callback, 0);
+        }
+    }
+
+    runPendingRuleChecks() {
+        const pending = this.pendingRules;
+        this.pendingRules = new Set();
+        this.checkEvolutionRules(this.evolutionRules.filter(rule => pending.has(rule.name)));
+    }
+
+    // Actions rules documents may refer to by name
+    setupActions() {
+        return {
+            moveProjectsUp: () => this.moveProjectsUp(),
+            reorderSectionsByInterest: () => this.reorderSectionsByInterest(),
+            optimizeCTA: () => this.optimizeCTA(),
+            setDarkThemeDefault: () => this.setDarkThemeDefault(),
+            highlightPopularProject: () => this.highlightPopularProject(),
+            revealAdditionalContent: () => this.revealAdditionalContent(),
+            showEngagementReward: () => this.showEngagementReward(),
+            personalizeGreeting: () => this.personalizeGreeting(),
+            enhanceInteractivity: () => this.enhanceInteractivity(),
+            personalizeForRecruiter: () => this.adaptToSegment('recruiter'),
+            personalizeForDeveloper: () => this.adaptToSegment('developer'),
+            personalizeForClient: () => this.adaptToSegment('client')
+        };
+    }
+
+    createRuleCompiler() {
+        return new RuleCompiler({
+            schema: this.tracker.getMetrics(),
+            actions: Object.keys(this.actions),
+            functions: {
+                getEngagementScore: () => this.tracker.getEngagementScore(),
+                getTopProjectScore: () => this.tracker.getProjectRanking()[0]?.score || 0,
+                sectionsOutOfOrder: () => this.countSectionsOutOfOrder()
+            }
         });
     }
 
     setupEvolutionRules() {
-        return [
-            {
-                name: 'projects_priority',
-                condition: (data) => 
-                    data.clicks.projects > data.clicks.about + 2 && 
-                    data.timeOnSections.projects > data.timeOnSections.about,
-                action: () => this.moveProjectsUp(),
-                cooldown: 30000 // 30 seconds
-            },
-            {
-                name: 'cta_optimization',
-                condition: (data) => data.clicks.cta > 3 || data.clicks.contact > 5,
-                action: () => this.optimizeCTA(),
-                cooldown: 45000
-            },
-            {
-                name: 'dark_theme_default',
-                condition: (data) => data.clicks.themeToggle > 1 && data.themePreference === 'dark',
-                action: () => this.setDarkThemeDefault(),
-                cooldown: 60000
-            },
-            {
-                name: 'project_highlight',
-                condition: (data) => data.clicks.projects > 8,
-                action: () => this.highlightPopularProject(),
-                cooldown: 25000
-            },
-            {
-                name: 'content_reveal',
-                condition: (data) => data.scrollDepth > 70,
-                action: () => this.revealAdditionalContent(),
-                cooldown: 30000
-            },
-            {
-                name: 'engagement_reward',
-                condition: (data) => this.tracker.getEngagementScore() > 50,
-                action: () => this.showEngagementReward(),
-                cooldown: 60000
-            },
-            {
-                name: 'personalized_greeting',
-                condition: (data) => data.visitCount > 2,
-                action: () => this.personalizeGreeting(),
-                cooldown: 0 // No cooldown
-            },
-            {
-                name: 'interactive_boost',
-                condition: (data) => data.clicks.projects > 15,
-                action: () => this.enhanceInteractivity(),
-                cooldown: 40000
+        // Rules live in <script type="application/json" id="evolutionRules">,
+        // optionally pointing at an external file through data-src
+        const rulesElement = document.getElementById('evolutionRules');
+        if (!rulesElement) {
+            console.warn('No evolution rules found (#evolutionRules is missing)');
+            return [];
+        }
+
+        if (rulesElement.dataset.src) {
+            this.loadRulesFromUrl(rulesElement.dataset.src);
+        }
+
+        if (!rulesElement.textContent.trim()) {
+            return [];
+        }
+
+        try {
+            return this.compileRules(rulesElement.textContent);
+        } catch (e) {
+            console.error(e.message);
+            return [];
+        }
+    }
+
+    compileRules(source) {
+        return this.ruleCompiler.compile(source).map(rule => ({
+            ...rule,
+            events: [...new Set(rule.signals.flatMap(signal => this.getSignalEvents(signal)))],
+            condition: (data) => Boolean(this.ruleCompiler.evaluate(rule.ast, data))
+        }));
+    }
+
+    // Tracker events that can change a rule signal; unknown signals match every event
+    getSignalEvents(signal) {
+        const functionEvents = {
+            getEngagementScore: ['click', 'section_view', 'scroll'],
+            getTopProjectScore: ['project'],
+            sectionsOutOfOrder: ['click', 'section_view']
+        };
+        const call = signal.match(/^(\w+)\(\)$/);
+        if (call) {
+            return functionEvents[call[1]] || ['*'];
+        }
+
+        // session.clicks and recent.clicks change with the same events as clicks
+        const [root, field] = signal.split('.');
+        const key = InteractionTracker.metricScopes.includes(root) ? field : root;
+        return InteractionTracker.dataEvents[key] || ['*'];
+    }
+
+    // Replace the active rules; throws RuleValidationError if the document is invalid
+    loadRules(source) {
+        this.evolutionRules = this.compileRules(source);
+        return this.evolutionRules;
+    }
+
+    async loadRulesFromUrl(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
-        ];
+            const rules = this.loadRules(await response.text());
+            this.checkEvolutionRules();
+            return rules;
+        } catch (e) {
+            console.error(`Could not load evolution rules from ${url}:`, e.message);
+            return null;
+        }
     }
 
-    checkEvolutionRules() {
-        const data = this.tracker.getData();
+    checkEvolutionRules(rules = this.evolutionRules, { dryRun = this.dryRun } = {}) {
+        if (dryRun) return this.reportRules(rules);
+
+        // Adapting the page to the visitor needs their consent
+        if (!this.consent.hasConsent('personalization')) return;
+        // With several tabs open only one decides, so notices show up once
+        if (!this.sync.isLeader()) return;
+
+        const data = this.tracker.getMetrics();
         
-        this.evolutionRules.forEach(rule => {
-            if (this.shouldApplyRule(rule, data)) {
-                rule.action();
-                this.currentEvolutions.add(rule.name);
-                this.lastAppliedTimes.set(rule.name, Date.now());
+        rules.forEach(rule => {
+            if (!this.shouldApplyRule(rule, data)) return;
+
+            // Visitors in an experiment's control arm keep the original page
+            if (this.experiments.expose(rule)) {
+                this.applyRule(rule);
             }
         });
     }
 
     shouldApplyRule(rule, data) {
-        const lastApplied = this.lastAppliedTimes?.get(rule.name) || 0;
-        const cooldownPassed = Date.now() - lastApplied > rule.cooldown;
-        const notCurrentlyActive = !this.currentEvolutions.has(rule.name);
-        
-        return rule.condition(data) && cooldownPassed && notCurrentlyActive;
+        return this.evaluateRule(rule, data).status === 'apply';
+    }
+
+    // status is apply, dismissed, active, no_match or cooldown; experiments
+    // and consent are left to the caller
+    evaluateRule(rule, data, now = Date.now()) {
+        const lastApplied = this.lastAppliedTimes.get(rule.name) || 0;
+        const cooldownPassed = now - lastApplied > rule.cooldown;
+        const matched = rule.condition(data);
+
+        return {
+            rule: rule.name,
+            action: rule.action,
+            status: RuleSimulator.ruleStatus({
+                dismissed: this.dismissedEvolutions.has(rule.name),
+                active: this.currentEvolutions.has(rule.name),
+                matched,
+                cooldownPassed
+            }),
+            matched,
+            cooldownRemaining: cooldownPassed ? 0 : lastApplied + rule.cooldown - now
+        };
+    }
+
+    // Dry run: log the rules that would apply and keep the report in lastReport
+    reportRules(rules = this.evolutionRules) {
+        const report = this.explainRules(rules);
+        report.filter(result => result.status === 'apply').forEach(result => {
+            console.log(`Dry run: "${result.rule}" would apply ${result.action}`, result.signals);
+        });
+        this.lastReport = report;
+        return report;
+    }
+
+    // What checkEvolutionRules() would do right now and why, without applying
+    // anything. Besides evaluateRule()'s statuses: held_out (experiment
+    // control arm), no_consent and not_leader.
+    explainRules(rules = this.evolutionRules) {
+        const data = this.tracker.getMetrics();
+        let blocked = null;
+        if (!this.consent.hasConsent('personalization')) {
+            blocked = 'no_consent';
+        } else if (!this.sync.isLeader()) {
+            blocked = 'not_leader';
+        }
+
+        return rules.map(rule => {
+            const result = this.evaluateRule(rule, data);
+            if (result.status === 'apply' && !this.experiments.isInTreatment(rule)) {
+                result.status = 'held_out';
+            }
+            if (result.status === 'apply' && blocked) {
+                result.status = blocked;
+            }
+            result.signals = this.ruleCompiler.collectSignals(rule.ast, data);
+            return result;
+        });
+    }
+
+    // A RuleSimulator for this page's rules, e.g.
+    // engine.createSimulator().simulate(RuleSimulator.timelineFromHistory(engine.getEvolutionHistory()))
+    createSimulator(options = {}) {
+        return new RuleSimulator(this.evolutionRules, {
+            actions: Object.keys(this.actions),
+            isReplayable: action => this.isReplayable(action),
+            getArm: rule => this.experiments.getArm(rule),
+            ...options
+        });
+    }
+
+    applyRule(rule) {
+        const evolution = this.runAction(rule, Date.now());
+
+        this.appliedEvolutions.push(evolution);
+        this.currentEvolutions.add(rule.name);
+        this.lastAppliedTimes.set(rule.name, evolution.appliedAt);
+        this.saveEvolutionState();
+        this.broadcast('evolution_applied', { name: rule.name, appliedAt: evolution.appliedAt, state: evolution.state });
+
+        // The action logged the signals that triggered it
+        const logged = this.evolutionHistory[this.evolutionHistory.length - 1];
+        this.notifyEvolution({
+            type: 'applied',
+            rule: rule.name,
+            action: rule.action,
+            condition: rule.when,
+            signals: logged && logged.rule === rule.name ? logged.signals : []
+        });
+        return evolution;
+    }
+
+    // state is what the action remembered when first applied (saved with the
+    // evolution), so a replay can undo back to the page before it
+    runAction(rule, appliedAt, state = {}) {
+        // Every change the action makes registers its inverse on this record
+        const evolution = { name: rule.name, action: rule.action, appliedAt, state: { ...state }, changes: [] };
+        this.recording = evolution;
+        try {
+            this.actions[rule.action]();
+        } finally {
+            this.recording = null;
+        }
+        return evolution;
+    }
+
+    isReplayable(actionName) {
+        return !EvolutionEngine.ONE_OFF_ACTIONS.includes(actionName);
+    }
+
+    // Silently re-apply the evolutions a returning visitor already has
+    replayEvolutions() {
+        if (!this.consent.hasConsent('personalization')) return;
+
+        const state = this.loadEvolutionState();
+        if (!state) return;
+
+        this.lastAppliedTimes = new Map(Object.entries(state.lastAppliedTimes || {}));
+        this.dismissedEvolutions = new Set(state.dismissed || []);
+
+        this.replaying = true;
+        try {
+            (state.applied || []).forEach(saved => {
+                const rule = this.evolutionRules.find(r => r.name === saved.name);
+                // Rules removed from the rules document are dropped
+                if (!rule || !this.isReplayable(rule.action) || this.dismissedEvolutions.has(rule.name)) return;
+
+                const evolution = this.runAction(rule, saved.appliedAt, saved.state);
+                // Nothing to restore (e.g. the page already looks this way)
+                if (!evolution.changes.length) return;
+
+                this.appliedEvolutions.push(evolution);
+                this.currentEvolutions.add(rule.name);
+            });
+        } finally {
+            this.replaying = false;
+        }
+
+        this.saveEvolutionState();
+    }
+
+    // Undo stack
+    recordChange(undo) {
+        if (this.recording) {
+            this.recording.changes.push(undo);
+        }
+    }
+
+    setStyleProperty(element, property, value) {
+        const previous = element.style.getPropertyValue(property);
+        element.style.setProperty(property, value);
+        this.recordChange(() => {
+            if (previous) {
+                element.style.setProperty(property, previous);
+            } else {
+                element.style.removeProperty(property);
+            }
+        });
+    }
+
+    setText(element, text) {
+        const previous = element.textContent;
+        element.textContent = text;
+        this.recordChange(() => {
+            element.textContent = previous;
+        });
+    }
+
+    setAttribute(element, name, value) {
+        const previous = element.getAttribute(name);
+        element.setAttribute(name, value);
+        this.recordChange(() => {
+            if (previous === null) {
+                element.removeAttribute(name);
+            } else {
+                element.setAttribute(name, previous);
+            }
+        });
+    }
+
+    addClass(element, className) {
+        if (element.classList.contains(className)) return;
+        element.classList.add(className);
+        this.recordChange(() => element.classList.remove(className));
+    }
+
+    appendElement(parent, child) {
+        parent.appendChild(child);
+        this.recordChange(() => {
+            if (child.parentNode) {
+                child.parentNode.removeChild(child);
+            }
+        });
+    }
+
+    // Restores the whole inline style of an element, for actions that animate it later
+    snapshotStyle(element) {
+        const previous = element.getAttribute('style');
+        this.recordChange(() => {
+            if (previous === null) {
+                element.removeAttribute('style');
+            } else {
+                element.setAttribute('style', previous);
+            }
+        });
+    }
+
+    // Restores an element to its current position in the DOM
+    snapshotPosition(element) {
+        const parent = element.parentNode;
+        const nextSibling = element.nextSibling;
+        this.recordChange(() => {
+            if (parent) {
+                parent.insertBefore(element, nextSibling);
+            }
+        });
+    }
+
+    listen(element, type, handler) {
+        element.addEventListener(type, handler);
+        this.recordChange(() => element.removeEventListener(type, handler));
+    }
+
+    undoEvolution(name) {
+        const index = this.appliedEvolutions.findIndex(evolution => evolution.name === name);
+        if (index === -1) return false;
+
+        const [evolution] = this.appliedEvolutions.splice(index, 1);
+        this.revertChanges(evolution);
+
+        this.currentEvolutions.delete(name);
+        // The visitor turned this change down, so don't re-apply it
+        this.dismissedEvolutions.add(name);
+        this.saveEvolutionState();
+        this.broadcast('evolution_undone', { name });
+        this.notifyEvolution({ type: 'undone', rule: name, remote: this.applyingRemote });
+
+        const notice = document.getElementById('evolutionNotice');
+        if (notice && notice.dataset.evolution === name) {
+            this.hideEvolutionNotice();
+        }
+
+        this.logEvolution(`Evolution "${name}" undone`);
+        return true;
+    }
+
+    // A one-off effect is mirrored without changes, so there may be nothing
+    // to revert here; the rule still has to end up dismissed in this tab too
+    undoRemoteEvolution(name) {
+        if (this.undoEvolution(name)) return;
+
+        const wasActive = this.currentEvolutions.delete(name);
+        this.dismissedEvolutions.add(name);
+        this.saveEvolutionState();
+        if (wasActive) {
+            this.notifyEvolution({ type: 'undone', rule: name, remote: true });
+        }
+    }
+
+    revertChanges(evolution) {
+        evolution.changes.slice().reverse().forEach(undo => {
+            try {
+                undo();
+            } catch (e) {
+                console.warn(`Could not fully undo ${evolution.name}:`, e);
+            }
+        });
+    }
+
+    // Visitors can opt out of a kind of adaptation; it stops being applied from then on
+    isRuleEnabled(name) {
+        return !this.dismissedEvolutions.has(name);
+    }
+
+    setRuleEnabled(name, enabled) {
+        if (enabled) {
+            this.dismissedEvolutions.delete(name);
+        } else {
+            this.dismissedEvolutions.add(name);
+        }
+        this.saveEvolutionState();
+        this.broadcast('rule_enabled', { name, enabled });
+    }
+
+    undoLastEvolution() {
+        const last = this.appliedEvolutions[this.appliedEvolutions.length - 1];
+        return last ? this.undoEvolution(last.name) : false;
+    }
+
+    // Apply a rule now, whatever its condition, cooldown, experiment arm or
+    // consent say; an active rule is applied afresh. For debugging.
+    forceRule(name) {
+        const rule = this.evolutionRules.find(r => r.name === name);
+        if (!rule) return null;
+
+        this.resetRule(name);
+        return this.applyRule(rule);
     }
 
+    // Revert an evolution the visitor didn't turn down, e.g. one replaced by
+    // another. Every tab does this itself, so nothing is broadcast.
+    withdrawEvolution(name) {
+        const index = this.appliedEvolutions.findIndex(evolution => evolution.name === name);
+        if (index === -1) return false;
+
+        this.revertChanges(this.appliedEvolutions.splice(index, 1)[0]);
+        this.currentEvolutions.delete(name);
+        this.saveEvolutionState();
+        this.notifyEvolution({ type: 'undone', rule: name, remote: this.applyingRemote });
+        return true;
+    }
+
+    // Take a rule back to as if it never fired: its changes are reverted and
+    // its cooldown and dismissal forgotten, so it can apply again
+    resetRule(name) {
+        const index = this.appliedEvolutions.findIndex(evolution => evolution.name === name);
+        if (index !== -1) {
+            this.revertChanges(this.appliedEvolutions.splice(index, 1)[0]);
+        }
+        this.currentEvolutions.delete(name);
+        this.lastAppliedTimes.delete(name);
+        this.dismissedEvolutions.delete(name);
+        this.saveEvolutionState();
+
+        const notice = document.getElementById('evolutionNotice');
+        if (notice && notice.dataset.evolution === name) {
+            this.hideEvolutionNotice();
+        }
+    }
+
+    // Roll back every evolution, newest first, restoring the original page
+    resetLayout() {
+        const names = this.appliedEvolutions.map(evolution => evolution.name).reverse();
+        names.forEach(name => this.undoEvolution(name));
+        return names;
+    }
+
+    // Restore the original page and erase evolution data, e.g. after consent is revoked
+    async clearEvolutions() {
+        this.appliedEvolutions.slice().reverse().forEach(evolution => this.revertChanges(evolution));
+        this.appliedEvolutions = [];
+        this.currentEvolutions.clear();
+        this.lastAppliedTimes.clear();
+        this.dismissedEvolutions.clear();
+        this.evolutionHistory = [];
+        this.hideEvolutionNotice();
+
+        try {
+            localStorage.removeItem('evolutionState');
+            await this.storage.remove('evolutionHistory');
+            await this.storage.remove('evolutionHistory:corrupt');
+        } catch (e) {
+            console.warn('Could not delete evolution data:', e);
+        }
+    }
+
+    // Swap in saved evolution state, e.g. from an imported export
+    restoreEvolutionState(state) {
+        this.appliedEvolutions.slice().reverse().forEach(evolution => this.revertChanges(evolution));
+        this.appliedEvolutions = [];
+        this.currentEvolutions.clear();
+        this.hideEvolutionNotice();
+        if (!this.consent.hasConsent('personalization')) return;
+
+        try {
+            localStorage.setItem('evolutionState', JSON.stringify(state));
+        } catch (e) {
+            console.warn('Could not save evolution state:', e);
+        }
+        this.replayEvolutions();
+    }
+
+    handleConsentChange({ categories, granted }) {
+        if (categories.includes('analytics') && !granted) {
+            this.experiments.deleteData();
+        }
+
+        if (!categories.includes('personalization')) return;
+
+        if (granted) {
+            this.checkEvolutionRules();
+        } else {
+            this.clearEvolutions();
+        }
+    }
+
+    // Kept for rules documents and saved state that still refer to it
     moveProjectsUp() {
-        const aboutSection = document.getElementById('about');
-        const projectsSection = document.getElementById('projects');
-        const container = aboutSection?.parentNode;
+        const order = this.getSectionOrder().filter(id => id !== 'projects');
+        order.splice(Math.max(order.indexOf('about'), 0), 0, 'projects');
 
-        if (aboutSection && projectsSection && container && 
-            projectsSection.nextElementSibling !== aboutSection) {
-            
-            // Add animation class
-            projectsSection.style.opacity = '0';
-            aboutSection.style.opacity = '0';
-            
-            setTimeout(() => {
-                container.insertBefore(projectsSection, aboutSection);
-                
-                // Animate back in
-                setTimeout(() => {
-                    projectsSection.style.opacity = '1';
-                    aboutSection.style.opacity = '1';
-                }, 100);
-            }, 300);
-            
+        if (this.orderSections(order)) {
             this.logEvolution("Projects section moved up based on your interest!");
             this.showEvolutionNotice("🎯 Projects prioritized! Moved to top based on your interest.");
         }
     }
 
+    reorderSectionsByInterest() {
+        const ranking = this.rankSectionsByInterest();
+        if (!this.orderSections(ranking.map(entry => entry.section))) return;
+
+        const top = document.querySelector(`.nav-link[data-section="${ranking[0].section}"] span`)?.textContent || ranking[0].section;
+        this.logEvolution(`Sections reordered by interest, starting with ${top}`);
+        this.showEvolutionNotice(`🎯 Layout evolved! Sections now follow what interests you most, starting with ${top}.`);
+    }
+
+    // Sections below the hero, most interesting first; ties keep the current order
+    rankSectionsByInterest() {
+        const data = this.tracker.getData();
+        return this.getSectionOrder()
+            .map((section, index) => ({
+                section,
+                index,
+                score: ((data.timeOnSections[section] || 0) / 1000) * 0.5 +
+                    (data.sectionViews[section] || 0) * 2 +
+                    (data.clicks[section] || 0) * 3
+            }))
+            .sort((a, b) => b.score - a.score || a.index - b.index);
+    }
+
+    getSectionOrder() {
+        return [...document.querySelectorAll('section[data-section]')]
+            .map(section => section.id)
+            .filter(id => id !== 'home');
+    }
+
+    // How many sections the interest ranking would move
+    countSectionsOutOfOrder() {
+        const current = this.getSectionOrder();
+        return this.rankSectionsByInterest().filter((entry, i) => current[i] !== entry.section).length;
+    }
+
     optimizeCTA() {
         // Change primary color to success green
-        document.documentElement.style.setProperty('--primary', '#10b981');
-        document.documentElement.style.setProperty('--primary-dark', '#059669');
+        this.setStyleProperty(document.documentElement, '--primary', '#10b981');
+        this.setStyleProperty(document.documentElement, '--primary-dark', '#059669');
         
         // Update CTA buttons
         const contactMeBtn = document.getElementById('contactHero');
@@ -134,17 +715,17 @@ class EvolutionEngine {
         
         if (contactMeBtn) {
             const span = contactMeBtn.querySelector('span');
-            if (span) span.textContent = "Let's Build Together!";
+            if (span) this.setText(span, "Let's Build Together!");
         }
         
         if (exploreBtn) {
             const span = exploreBtn.querySelector('span');
-            if (span) span.textContent = "See My Work →";
+            if (span) this.setText(span, "See My Work →");
         }
         
         if (submitContactBtn) {
             const span = submitContactBtn.querySelector('span');
-            if (span) span.textContent = "Send Message Now!";
+            if (span) this.setText(span, "Send Message Now!");
         }
         
         this.logEvolution("CTA buttons optimized based on engagement!");
@@ -152,15 +733,27 @@ class EvolutionEngine {
     }
 
     setDarkThemeDefault() {
+        // Respect a visitor who switched back to light since this was applied
+        if (this.replaying && this.tracker.getData().themePreference !== 'dark') return;
+
         if (!document.body.classList.contains('dark-theme')) {
-            document.body.classList.add('dark-theme');
+            // On replay the saved preference is already this evolution's 'dark'
+            const state = this.recording ? this.recording.state : {};
+            state.previousTheme = state.previousTheme || this.tracker.getData().themePreference;
+            const previousPreference = state.previousTheme;
+            this.addClass(document.body, 'dark-theme');
             const themeToggle = document.getElementById('themeToggle');
             if (themeToggle) {
+                const previousIcon = themeToggle.innerHTML;
                 themeToggle.innerHTML = '<i class="fas fa-sun"></i>';
+                this.recordChange(() => {
+                    themeToggle.innerHTML = previousIcon;
+                });
             }
             
             // Update theme preference in tracker
             this.tracker.trackThemePreference('dark');
+            this.recordChange(() => this.tracker.trackThemePreference(previousPreference));
             
             this.logEvolution("Dark theme set as default based on user preference!");
             this.showEvolutionNotice("🌙 Dark theme activated as your default preference.");
@@ -168,18 +761,41 @@ class EvolutionEngine {
     }
 
     highlightPopularProject() {
-        const projectCards = document.querySelectorAll('.project-card');
-        projectCards.forEach((card, index) => {
-            // Add staggered animation
-            setTimeout(() => {
-                card.style.transform = 'scale(1.05)';
-                card.style.boxShadow = '0 20px 40px rgba(99, 102, 241, 0.3)';
-                card.style.border = '2px solid var(--primary)';
-                
-                // Add glow effect
-                card.style.animation = 'project-glow 2s ease-in-out infinite';
-            }, index * 200);
-        });
+        // Feature the project this visitor is most interested in, not every card
+        const [top] = this.tracker.getProjectRanking().filter(entry => entry.score > 0);
+        const featured = top && document.querySelector(`.project-card[data-project="${top.project}"]`);
+        if (!featured) return;
+
+        const grid = featured.parentNode;
+        const cards = [...grid.querySelectorAll('.project-card')];
+        const tagsOf = (card) => (card.dataset.tags || '').split('|').filter(Boolean);
+        const featuredTags = tagsOf(featured);
+        const related = cards.filter(card => card !== featured &&
+            tagsOf(card).some(tag => featuredTags.includes(tag)));
+        const rest = cards.filter(card => card !== featured && !related.includes(card));
+
+        // Featured first, then related projects, then the rest
+        cards.forEach(card => this.snapshotPosition(card));
+        [featured, ...related, ...rest].forEach(card => grid.appendChild(card));
+
+        this.addBadge(featured, 'Most viewed', 'fa-fire');
+        related.forEach(card => this.addBadge(card, 'Related', 'fa-link'));
+
+        this.snapshotStyle(featured);
+        const highlight = () => {
+            featured.style.transform = 'scale(1.05)';
+            featured.style.boxShadow = '0 20px 40px rgba(99, 102, 241, 0.3)';
+            featured.style.border = '2px solid var(--primary)';
+            
+            // Add glow effect
+            featured.style.animation = 'project-glow 2s ease-in-out infinite';
+        };
+
+        if (this.replaying) {
+            highlight();
+        } else {
+            setTimeout(highlight, 300);
+        }
         
         // Add custom animation
         const style = document.createElement('style');
@@ -189,10 +805,19 @@ class EvolutionEngine {
                 50% { box-shadow: 0 25px 50px rgba(99, 102, 241, 0.5); }
             }
         `;
-        document.head.appendChild(style);
+        this.appendElement(document.head, style);
         
-        this.logEvolution("Projects highlighted based on user interest!");
-        this.showEvolutionNotice("💎 Projects highlighted! Your interest in my work is noted.");
+        const title = featured.querySelector('.project-title')?.textContent || top.project;
+        this.logEvolution(`"${title}" featured as your most viewed project!`);
+        this.showEvolutionNotice(`💎 "${title}" featured! It's the project you've explored the most.`);
+    }
+
+    addBadge(card, label, icon) {
+        const badge = document.createElement('span');
+        badge.className = `project-badge${label === 'Related' ? ' related' : ''}`;
+        badge.innerHTML = `<i class="fas ${icon}"></i>`;
+        badge.append(` ${label}`);
+        this.appendElement(card.querySelector('.project-header') || card, badge);
     }
 
     revealAdditionalContent() {
@@ -227,7 +852,7 @@ class EvolutionEngine {
         
         const projectsSection = document.getElementById('projects');
         if (projectsSection) {
-            projectsSection.appendChild(additionalContent);
+            this.appendElement(projectsSection, additionalContent);
         }
         
         this.logEvolution("Additional content revealed due to deep engagement!");
@@ -259,7 +884,7 @@ class EvolutionEngine {
             box-shadow: var(--shadow-lg);
         `;
         
-        document.body.appendChild(engagementBadge);
+        this.appendElement(document.body, engagementBadge);
         
         // Remove after 5 seconds
         setTimeout(() => {
@@ -282,21 +907,138 @@ class EvolutionEngine {
         if (heroTitle && visitCount > 2) {
             const titleLines = heroTitle.querySelectorAll('.title-line');
             if (titleLines.length >= 2) {
-                titleLines[1].textContent = 'Welcome Back!';
-                titleLines[1].classList.add('gradient-text');
+                this.setText(titleLines[1], 'Welcome Back!');
+                this.addClass(titleLines[1], 'gradient-text');
                 
                 this.logEvolution("Personalized greeting shown to returning visitor!");
             }
         }
     }
 
+    // Hero copy, primary call to action and section order for a persona
+    adaptToSegment(segment) {
+        const persona = SEGMENT_PERSONAS[segment];
+        if (!persona) return;
+
+        // Personas replace each other rather than stack; the one replaced
+        // isn't dismissed, so it comes back if the segment does
+        this.appliedEvolutions
+            .filter(evolution => evolution.segment)
+            .forEach(evolution => this.withdrawEvolution(evolution.name));
+        if (this.recording) this.recording.segment = segment;
+
+        const titleLines = document.querySelectorAll('.hero-title .title-line');
+        persona.title.forEach((text, i) => {
+            if (titleLines[i]) this.setText(titleLines[i], text);
+        });
+
+        const description = document.querySelector('.hero-description');
+        if (description) {
+            this.setText(description, persona.description);
+        }
+
+        const cta = document.getElementById('exploreProjects');
+        const ctaLabel = cta?.querySelector('span');
+        if (ctaLabel) {
+            this.setText(ctaLabel, persona.cta.label);
+            this.setAttribute(cta, 'data-section', persona.cta.section);
+        }
+
+        this.orderSections(persona.sections);
+
+        this.logEvolution(`Page adapted for a ${segment} visitor`);
+        this.showEvolutionNotice(persona.notice);
+    }
+
+    // Put sections right after the pinned hero in the given order. Sections
+    // slide to their new place (FLIP) while the one being read stays put, and
+    // the nav follows the new order. Returns false if nothing had to move.
+    orderSections(sectionIds) {
+        const home = document.getElementById('home');
+        const container = home?.parentNode;
+        if (!container) return false;
+
+        const sections = [...container.querySelectorAll(':scope > section[data-section]')];
+        const ordered = sectionIds
+            .map(id => document.getElementById(id))
+            .filter(section => section && section !== home && sections.includes(section));
+        const target = [home, ...ordered, ...sections.filter(section => section !== home && !ordered.includes(section))];
+        if (target.every((section, i) => sections[i] === section)) return false;
+
+        const reading = this.replaying ? null : this.getReadingPosition(sections);
+        const before = new Map(sections.map(section => [section, section.getBoundingClientRect().top]));
+
+        sections.forEach(section => this.snapshotPosition(section));
+        let anchor = home;
+        target.slice(1).forEach(section => {
+            anchor.after(section);
+            anchor = section;
+        });
+
+        this.orderNavLinks(target.map(section => section.id));
+        this.renumberSections(target.slice(1));
+
+        if (reading) {
+            window.scrollBy(0, reading.element.getBoundingClientRect().top - reading.top);
+            this.animateMoves(sections, before);
+        }
+        return true;
+    }
+
+    // The section at the top of the viewport and its offset
+    getReadingPosition(sections) {
+        const element = sections.find(section => section.getBoundingClientRect().bottom > 0);
+        return element ? { element, top: element.getBoundingClientRect().top } : null;
+    }
+
+    // FLIP: start each element where it was and let it slide into place
+    animateMoves(elements, before) {
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        if (reduceMotion) return;
+
+        elements.forEach(element => {
+            const delta = before.get(element) - element.getBoundingClientRect().top;
+            if (delta && typeof element.animate === 'function') {
+                element.animate([
+                    { transform: `translateY(${delta}px)` },
+                    { transform: 'translateY(0)' }
+                ], { duration: 600, easing: 'cubic-bezier(0.4, 0, 0.2, 1)' });
+            }
+        });
+    }
+
+    orderNavLinks(sectionIds) {
+        const items = sectionIds
+            .map(id => document.querySelector(`.nav-links .nav-link[data-section="${id}"]`)?.closest('li'))
+            .filter(Boolean);
+        if (!items.length) return;
+
+        const list = items[0].parentNode;
+        [...list.children].forEach(item => this.snapshotPosition(item));
+        items.forEach(item => list.appendChild(item));
+    }
+
+    // Keep the 01, 02, 03 section numbers in reading order
+    renumberSections(sections) {
+        sections.forEach((section, i) => {
+            const number = section.querySelector('.section-title .title-number');
+            const text = String(i + 1).padStart(2, '0');
+            if (number && number.textContent !== text) {
+                this.setText(number, text);
+            }
+        });
+    }
+
     enhanceInteractivity() {
         // Add micro-interactions to project cards
         const projectCards = document.querySelectorAll('.project-card');
+        const hover = (e) => this.enhancedCardHover(e);
+        const leave = (e) => this.enhancedCardLeave(e);
         projectCards.forEach(card => {
-            card.style.cursor = 'pointer';
-            card.addEventListener('mouseenter', this.enhancedCardHover);
-            card.addEventListener('mouseleave', this.enhancedCardLeave);
+            this.setStyleProperty(card, 'cursor', 'pointer');
+            this.listen(card, 'mouseenter', hover);
+            this.listen(card, 'mouseleave', leave);
+            this.recordChange(() => card.classList.remove('enhanced-hover'));
         });
         
         // Add CSS for enhanced interactions
@@ -325,7 +1067,7 @@ class EvolutionEngine {
                 to { transform: translateY(0); opacity: 1; }
             }
         `;
-        document.head.appendChild(style);
+        this.appendElement(document.head, style);
         
         this.logEvolution("Enhanced interactivity added to project cards!");
         this.showEvolutionNotice("🎮 Enhanced interactivity! Hover over projects for new effects.");
@@ -387,12 +1129,22 @@ class EvolutionEngine {
     }
 
     showEvolutionNotice(message) {
+        if (this.replaying) return;
+
         const notice = document.getElementById('evolutionNotice');
         if (notice) {
             const noticeText = notice.querySelector('.notice-text span');
             if (noticeText) {
                 noticeText.textContent = message;
             }
+
+            // Remember which evolution the notice's undo button refers to
+            if (this.recording) {
+                notice.dataset.evolution = this.recording.name;
+            } else {
+                delete notice.dataset.evolution;
+            }
+            notice.classList.toggle('undoable', Boolean(this.recording));
             
             notice.classList.add('show');
             
@@ -411,41 +1163,82 @@ class EvolutionEngine {
     }
 
     logEvolution(description) {
+        // Replayed evolutions were already logged on the visit they happened
+        if (this.replaying) return;
+
+        const data = this.tracker.getMetrics();
         const evolutionEvent = {
             timestamp: new Date().toISOString(),
             description: description,
-            data: JSON.parse(JSON.stringify(this.tracker.getData())),
+            data: JSON.parse(JSON.stringify(data)),
             engagementScore: this.tracker.getEngagementScore()
         };
+
+        // Record which rule fired and the signals behind it
+        const rule = this.recording && this.evolutionRules.find(r => r.name === this.recording.name);
+        if (rule) {
+            evolutionEvent.rule = rule.name;
+            evolutionEvent.condition = rule.when;
+            evolutionEvent.signals = this.ruleCompiler.collectSignals(rule.ast, data);
+        }
+        
+        this.addHistoryEvent(evolutionEvent);
+        this.saveEvolutionHistory();
+        this.broadcast('evolution_logged', evolutionEvent);
         
+        // Debug log
+        console.log('Evolution:', description, evolutionEvent);
+    }
+
+    addHistoryEvent(evolutionEvent) {
         this.evolutionHistory.push(evolutionEvent);
         
         // Keep only last 100 evolution events
         if (this.evolutionHistory.length > 100) {
             this.evolutionHistory = this.evolutionHistory.slice(-100);
         }
-        
-        this.saveEvolutionHistory();
-        
-        // Debug log
-        console.log('Evolution:', description, evolutionEvent);
     }
 
     saveEvolutionHistory() {
+        if (!this.consent.hasConsent('personalization')) return Promise.resolve();
+
+        return this.storage.save('evolutionHistory', this.evolutionHistory).catch(e => {
+            console.warn('Could not save evolution history:', e);
+        });
+    }
+
+    async loadEvolutionHistory() {
         try {
-            localStorage.setItem('evolutionHistory', JSON.stringify(this.evolutionHistory));
+            this.evolutionHistory = ((await this.storage.load('evolutionHistory')) || []).slice(-100);
         } catch (e) {
-            console.warn('Could not save evolution history:', e);
+            console.warn('Could not load evolution history:', e);
+        }
+        return this.evolutionHistory;
+    }
+
+    saveEvolutionState() {
+        if (!this.consent.hasConsent('personalization')) return;
+
+        const state = {
+            applied: this.appliedEvolutions.map(({ name, action, appliedAt, state }) => ({ name, action, appliedAt, state })),
+            lastAppliedTimes: Object.fromEntries(this.lastAppliedTimes),
+            dismissed: [...this.dismissedEvolutions]
+        };
+
+        try {
+            localStorage.setItem('evolutionState', JSON.stringify(state));
+        } catch (e) {
+            console.warn('Could not save evolution state:', e);
         }
     }
 
-    loadEvolutionHistory() {
+    loadEvolutionState() {
         try {
-            const saved = localStorage.getItem('evolutionHistory');
-            return saved ? JSON.parse(saved) : [];
+            const saved = localStorage.getItem('evolutionState');
+            return saved ? JSON.parse(saved) : null;
         } catch (e) {
-            console.warn('Could not load evolution history:', e);
-            return [];
+            console.warn('Could not load evolution state:', e);
+            return null;
         }
     }
 
@@ -453,6 +1246,12 @@ class EvolutionEngine {
         return this.evolutionHistory;
     }
 
+    // Conversion rates per arm for rules running as experiments. Pass visitor
+    // records collected from many visitors; defaults to this visitor alone.
+    getExperimentResults(records) {
+        return this.experiments.getResults(this.evolutionRules, records);
+    }
+
     // Analytics method to get evolution insights
     getEvolutionInsights() {
         const popularEvolutions = {};
@@ -469,6 +1268,5 @@ class EvolutionEngine {
     }
 }
 
-// Initialize lastAppliedTimes map
-EvolutionEngine.prototype.lastAppliedTimes = new Map();
-EvolutionEngine.prototype.currentEvolutions = new Set();
\ No newline at end of file
+// One-off effects that make no sense to show again on the next visit
+EvolutionEngine.ONE_OFF_ACTIONS = ['showEngagementReward'];
@@ -0,0 +1,191 @@
+// A/B Experiment Module
+// Buckets each visitor into control/treatment for every rule that declares
+// an "experiment" in the rules document, and attributes conversions to arms.
+// Experiments are measurement, so they only run with analytics consent;
+// without it every visitor simply gets the treatment.
+import { createId } from './utils.js';
+
+export class ExperimentManager {
+    constructor(interactionTracker) {
+        this.tracker = interactionTracker;
+        this.consent = interactionTracker.consent;
+        this.data = this.loadData() || this.createVisitorData();
+        this.saveData();
+
+        this.tracker.onConversion((type) => this.recordConversion(type));
+    }
+
+    createVisitorData() {
+        return {
+            visitorId: this.generateVisitorId(),
+            // rule name -> { arm, exposedAt }
+            exposures: {},
+            // rule name -> { type: count } for conversions after exposure
+            conversions: {}
+        };
+    }
+
+    generateVisitorId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return createId();
+    }
+
+    getVisitorId() {
+        return this.data.visitorId;
+    }
+
+    isExperiment(rule) {
+        return Boolean(rule.experiment);
+    }
+
+    // Same visitor and rule always land in the same arm
+    getArm(rule) {
+        const holdout = rule.experiment.holdout ?? 0.5;
+        return this.hash(`${this.data.visitorId}:${rule.name}`) < holdout ? 'control' : 'treatment';
+    }
+
+    // FNV-1a, scaled to [0, 1)
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) / 4294967296;
+    }
+
+    // Called when a rule's condition matched; returns whether to apply it
+    expose(rule) {
+        if (!this.isExperiment(rule) || !this.consent.hasConsent('analytics')) return true;
+
+        const arm = this.getArm(rule);
+        if (!this.data.exposures[rule.name]) {
+            this.data.exposures[rule.name] = { arm, exposedAt: Date.now() };
+            this.tracker.trackInteraction('experiment_exposure', { rule: rule.name, arm });
+            this.saveData();
+        }
+        return arm === 'treatment';
+    }
+
+    // Whether expose() would apply the rule, without recording an exposure
+    isInTreatment(rule) {
+        return !this.isExperiment(rule) || !this.consent.hasConsent('analytics') || this.getArm(rule) === 'treatment';
+    }
+
+    recordConversion(type) {
+        if (!this.consent.hasConsent('analytics')) return;
+
+        const exposed = Object.keys(this.data.exposures);
+        if (!exposed.length) return;
+
+        exposed.forEach(name => {
+            const counts = this.data.conversions[name] || (this.data.conversions[name] = {});
+            counts[type] = (counts[type] || 0) + 1;
+        });
+        this.saveData();
+    }
+
+    // This visitor's assignments and conversions, in the shape getResults() aggregates
+    getVisitorRecord() {
+        return JSON.parse(JSON.stringify(this.data));
+    }
+
+    // Conversion rate per arm for each experiment, over one or many visitor records
+    getResults(rules, records = [this.getVisitorRecord()]) {
+        const results = {};
+
+        rules.filter(rule => this.isExperiment(rule)).forEach(rule => {
+            const arms = {
+                control: { visitors: 0, converted: 0, conversionRate: 0 },
+                treatment: { visitors: 0, converted: 0, conversionRate: 0 }
+            };
+
+            records.forEach(record => {
+                const exposure = record.exposures && record.exposures[rule.name];
+                if (!exposure || !arms[exposure.arm]) return;
+
+                const counts = (record.conversions && record.conversions[rule.name]) || {};
+                arms[exposure.arm].visitors++;
+                if (Object.values(counts).some(count => count > 0)) {
+                    arms[exposure.arm].converted++;
+                }
+            });
+
+            Object.values(arms).forEach(arm => {
+                arm.conversionRate = arm.visitors ? arm.converted / arm.visitors : 0;
+            });
+
+            results[rule.name] = {
+                holdout: rule.experiment.holdout ?? 0.5,
+                control: arms.control,
+                treatment: arms.treatment,
+                lift: arms.control.conversionRate
+                    ? (arms.treatment.conversionRate - arms.control.conversionRate) / arms.control.conversionRate
+                    : null,
+                ...this.significance(arms.control, arms.treatment)
+            };
+        });
+
+        return results;
+    }
+
+    // Two-proportion z-test; a rough estimate that needs reasonably large samples
+    significance(control, treatment) {
+        const total = control.visitors + treatment.visitors;
+        if (!control.visitors || !treatment.visitors) {
+            return { zScore: null, pValue: null, significant: false };
+        }
+
+        const pooled = (control.converted + treatment.converted) / total;
+        const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.visitors + 1 / treatment.visitors));
+        if (!standardError) {
+            return { zScore: 0, pValue: 1, significant: false };
+        }
+
+        const zScore = (treatment.conversionRate - control.conversionRate) / standardError;
+        const pValue = 2 * (1 - this.normalCdf(Math.abs(zScore)));
+        return { zScore, pValue, significant: pValue < 0.05 };
+    }
+
+    // Abramowitz-Stegun approximation of the standard normal CDF
+    normalCdf(x) {
+        const t = 1 / (1 + 0.2316419 * Math.abs(x));
+        const d = 0.3989423 * Math.exp(-x * x / 2);
+        const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+        return x > 0 ? 1 - p : p;
+    }
+
+    saveData() {
+        if (!this.consent.hasConsent('analytics')) return;
+
+        try {
+            localStorage.setItem('portfolioExperiments', JSON.stringify(this.data));
+        } catch (e) {
+            console.warn('Could not save experiment data:', e);
+        }
+    }
+
+    // Forget the visitor ID, assignments and conversions
+    deleteData() {
+        this.data = this.createVisitorData();
+        try {
+            localStorage.removeItem('portfolioExperiments');
+        } catch (e) {
+            console.warn('Could not delete experiment data:', e);
+        }
+    }
+
+    loadData() {
+        if (!this.consent.hasConsent('analytics')) return null;
+
+        try {
+            const saved = localStorage.getItem('portfolioExperiments');
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.warn('Could not load experiment data:', e);
+            return null;
+        }
+    }
+}
@@ -1,42 +1,82 @@
 // Enhanced Interaction Tracking Module
-class InteractionTracker {
-    constructor() {
-        this.data = this.loadData() || {
-            clicks: {
-                projects: 0,
-                contact: 0,
-                about: 0,
-                themeToggle: 0,
-                social: 0,
-                cta: 0,
-                navigation: 0
-            },
-            scrollDepth: 0,
-            timeOnSections: {
-                home: 0,
-                about: 0,
-                projects: 0,
-                contact: 0
-            },
-            themePreference: 'light',
-            lastVisit: null,
-            visitCount: 0,
-            sectionViews: {
-                home: 0,
-                about: 0,
-                projects: 0,
-                contact: 0
-            },
-            interactions: []
-        };
+import { ConsentManager } from './consentManager.js';
+import { EngagementModel } from './engagementModel.js';
+import { loadPortfolioConfig } from './portfolioConfig.js';
+import { createStorageAdapter } from './storageAdapters.js';
+import { TabSync } from './tabSync.js';
+import { TrackerSchema } from './trackerSchema.js';
+import { createId } from './utils.js';
+import { VisitorSegmenter } from './visitorSegments.js';
+
+export class InteractionTracker {
+    constructor(config = loadPortfolioConfig()) {
+        this.consent = new ConsentManager();
+        // Remote backends only send with analytics consent
+        this.storage = createStorageAdapter(config.storage, this.consent);
+        this.metrics = config.metrics;
+        this.engagementModel = new EngagementModel(config.engagement);
+        this.segmenter = new VisitorSegmenter(config.segments);
+        // Other open tabs; their changes are mirrored here once data is loaded
+        this.sync = new TabSync();
+        this.remote = false;
+        this.sync.onMessage((type, payload) => {
+            if (this.loaded) this.applyRemote(type, payload);
+        });
+        this.schema = new TrackerSchema();
+        this.data = this.createDefaultData();
         
         this.currentSection = 'home';
-        this.sectionStartTime = Date.now();
+        // Section id -> visible height in px; time is split between them
+        this.visibleSections = new Map();
+        // Sections already counted since they came into view
+        this.viewedSections = new Set();
+        // When the current timing slice started, null while paused
+        this.timingSince = null;
+        this.idle = false;
+        this.blurred = false;
+        this.idleTimer = null;
+        this.lastActivityAt = 0;
         this.maxScrollDepth = 0;
-        this.init();
+        this.listeners = {};
+        this.projectHoverStart = {};
+        this.projectVisibleStart = {};
+        this.loaded = false;
+
+        // Storage may be asynchronous (IndexedDB), so tracking starts once data is loaded
+        this.ready = this.loadData().then(saved => {
+            if (saved) {
+                this.data = saved;
+            }
+            this.loaded = true;
+            this.init();
+            return this;
+        });
+
+        this.consent.onChange(change => this.handleConsentChange(change));
+    }
+
+    // The shape of the data is defined once, in TrackerSchema
+    createMetricCounts() {
+        return this.schema.createMetricCounts();
+    }
+
+    createDefaultData() {
+        return this.schema.createDefaultData();
+    }
+
+    createSession(now = Date.now()) {
+        return {
+            id: createId(now),
+            startedAt: now,
+            lastActivity: now,
+            acquisition: null,
+            ...this.createMetricCounts()
+        };
     }
 
     init() {
+        this.touchSession();
+        this.captureAcquisition();
         this.setupScrollTracking();
         this.setupSectionTracking();
         this.incrementVisitCount();
@@ -49,37 +89,58 @@ class InteractionTracker {
             const scrollDepth = (window.scrollY + window.innerHeight) / document.body.scrollHeight;
             if (scrollDepth > this.maxScrollDepth) {
                 this.maxScrollDepth = scrollDepth;
-                this.data.scrollDepth = Math.round(this.maxScrollDepth * 100);
+                this.recordScrollDepth(Math.round(this.maxScrollDepth * 100));
             }
             
             // Track scroll interactions
             clearTimeout(scrollTimeout);
             scrollTimeout = setTimeout(() => {
                 this.trackInteraction('scroll', { depth: this.data.scrollDepth });
+                this.emit('scroll', { depth: this.data.scrollDepth });
             }, 500);
         });
     }
 
     setupSectionTracking() {
-        const sections = document.querySelectorAll('section[data-section]');
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.updateSectionTime();
-                    this.currentSection = entry.target.id;
-                    this.sectionStartTime = Date.now();
-                    this.trackSectionView(this.currentSection);
-                }
-            });
-        }, { threshold: 0.5 });
+        this.sectionObserver = new IntersectionObserver(entries => this.handleSectionEntries(entries), {
+            threshold: [0, 0.25, 0.5, 0.75, 1]
+        });
+        this.observeSections(document);
 
-        sections.forEach(section => {
-            observer.observe(section);
+        // Sections added to the page later are tracked as they appear
+        new MutationObserver(mutations => {
+            mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) this.observeSections(node);
+            }));
+        }).observe(document.body, { childList: true, subtree: true });
+
+        // Only count time while the page is visible, focused and in use
+        document.addEventListener('visibilitychange', () => {
+            this.updateTimingState();
+            if (document.visibilityState === 'hidden') {
+                this.flushProjectVisibility();
+                this.saveData();
+            }
+        });
+        window.addEventListener('blur', () => {
+            this.blurred = true;
+            this.updateTimingState();
+        });
+        window.addEventListener('focus', () => {
+            this.blurred = false;
+            this.updateTimingState();
+        });
+        ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll'].forEach(type => {
+            window.addEventListener(type, () => this.recordActivity(), { passive: true });
         });
+        this.recordActivity();
+        this.updateTimingState();
 
-        // Save data when leaving the page
-        window.addEventListener('beforeunload', () => {
+        // Save data when leaving the page; unlike beforeunload, pagehide also
+        // fires on mobile and when the page enters the back/forward cache
+        window.addEventListener('pagehide', () => {
             this.updateSectionTime();
+            this.flushProjectVisibility();
             this.saveData();
         });
 
@@ -87,9 +148,103 @@ class InteractionTracker {
         setInterval(() => this.saveData(), 30000);
     }
 
+    observeSections(root) {
+        const sections = root.matches?.('section[data-section]')
+            ? [root]
+            : root.querySelectorAll('section[data-section]');
+
+        sections.forEach(section => {
+            this.registerSection(section.id);
+            this.sectionObserver.observe(section);
+        });
+    }
+
+    // Give a section that isn't in the schema yet its own counters in every scope
+    registerSection(id) {
+        if (!this.schema.registerSection(id)) return;
+
+        [this.data, this.data.session, ...Object.values(this.data.daily)].filter(Boolean).forEach(scope => {
+            ['timeOnSections', 'sectionViews'].forEach(group => {
+                scope[group][id] = scope[group][id] || 0;
+            });
+        });
+    }
+
+    handleSectionEntries(entries) {
+        // Close the running slice with the sections that were visible during it
+        this.updateSectionTime();
+        const viewportHeight = window.innerHeight || 1;
+
+        entries.forEach(entry => {
+            const section = entry.target.id;
+            const visibleHeight = entry.isIntersecting ? entry.intersectionRect.height : 0;
+
+            if (visibleHeight > 0) {
+                this.visibleSections.set(section, visibleHeight);
+            } else {
+                this.visibleSections.delete(section);
+                this.viewedSections.delete(section);
+            }
+
+            // One view each time a section comes into view: half of it on
+            // screen, or half the screen for sections taller than the viewport
+            const inView = entry.intersectionRatio >= 0.5 || visibleHeight >= viewportHeight * 0.5;
+            if (inView && !this.viewedSections.has(section)) {
+                this.viewedSections.add(section);
+                this.trackSectionView(section);
+            }
+        });
+
+        let dominant = null;
+        this.visibleSections.forEach((height, section) => {
+            if (!dominant || height > this.visibleSections.get(dominant)) {
+                dominant = section;
+            }
+        });
+        if (dominant && dominant !== this.currentSection) {
+            const previous = this.currentSection;
+            this.currentSection = dominant;
+            this.emit('section_change', { section: dominant, previous });
+        }
+    }
+
+    isTimingActive() {
+        return document.visibilityState !== 'hidden' && !this.blurred && !this.idle;
+    }
+
+    // Commit the time so far, then pause or resume timing
+    updateTimingState() {
+        this.updateSectionTime();
+        this.timingSince = this.isTimingActive() ? Date.now() : null;
+    }
+
+    // Visitors count as idle after metrics.idleTimeout without input
+    recordActivity() {
+        const now = Date.now();
+        // Input means the window has focus again, even if no focus event fired
+        if (this.idle || this.blurred) {
+            this.idle = false;
+            this.blurred = false;
+            this.updateTimingState();
+        } else if (now - this.lastActivityAt < 1000) {
+            // pointermove fires constantly; resetting the timer once a second is enough
+            return;
+        }
+
+        this.lastActivityAt = now;
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            this.idle = true;
+            this.updateTimingState();
+        }, this.metrics.idleTimeout);
+    }
+
     setupInteractionTracking() {
         // Track all clicks for heatmap-like data
         document.addEventListener('click', (e) => {
+            // Element details and coordinates are analytics data
+            if (!this.consent.hasConsent('analytics')) return;
+
             const target = e.target;
             const elementData = {
                 tag: target.tagName.toLowerCase(),
@@ -100,65 +255,294 @@ class InteractionTracker {
                     x: e.clientX,
                     y: e.clientY
                 },
+                // Document coordinates, so clicks can be drawn over the page later
+                page: {
+                    x: e.pageX,
+                    y: e.pageY
+                },
                 timestamp: Date.now()
             };
             
-            this.data.interactions.push({
+            this.addInteraction({
                 type: 'click',
                 ...elementData
             });
-            
-            // Keep only last 1000 interactions
-            if (this.data.interactions.length > 1000) {
-                this.data.interactions = this.data.interactions.slice(-1000);
-            }
         });
     }
 
+    // Split active time since the last update between the visible sections,
+    // by how much of the screen each one takes up
     updateSectionTime() {
+        if (this.timingSince === null) return;
+
         const now = Date.now();
-        const timeSpent = now - this.sectionStartTime;
-        this.data.timeOnSections[this.currentSection] += timeSpent;
-        this.sectionStartTime = now;
+        const elapsed = now - this.timingSince;
+        const totalHeight = [...this.visibleSections.values()].reduce((a, b) => a + b, 0);
+
+        if (elapsed > 0 && totalHeight > 0) {
+            this.visibleSections.forEach((height, section) => {
+                this.recordMetric('timeOnSections', section, Math.round(elapsed * height / totalHeight));
+            });
+        }
+        this.timingSince = now;
     }
 
     trackSectionView(section) {
-        if (this.data.sectionViews[section] !== undefined) {
-            this.data.sectionViews[section]++;
-        }
+        this.recordMetric('sectionViews', section);
         this.trackInteraction('section_view', { section });
+        this.emit('section_view', { section });
     }
 
     trackClick(type, target = null, metadata = {}) {
-        if (this.data.clicks[type] !== undefined) {
-            this.data.clicks[type]++;
-        }
+        this.recordMetric('clicks', type);
         
-        if (target && this.data.clicks[target] !== undefined) {
-            this.data.clicks[target]++;
+        if (target) {
+            this.recordMetric('clicks', target);
         }
         
         this.trackInteraction('click', { type, target, ...metadata });
         this.saveData();
+        this.emit('click', { click: type, target });
+    }
+
+    // Where this landing came from; the first one is kept for the lifetime
+    captureAcquisition() {
+        const source = this.readAcquisition();
+        if (!source) return;
+
+        this.data.session.acquisition = source;
+        if (!this.data.acquisition) {
+            this.data.acquisition = source;
+        }
+        this.trackInteraction('acquisition', source);
+    }
+
+    readAcquisition() {
+        const params = new URLSearchParams(window.location.search);
+        const utm = {};
+        ['source', 'medium', 'campaign', 'term', 'content'].forEach(key => {
+            const value = params.get(`utm_${key}`);
+            if (value) utm[key] = value;
+        });
+
+        let referrer = '';
+        try {
+            const url = new URL(document.referrer);
+            if (url.host !== window.location.host) {
+                referrer = url.hostname.replace(/^www\./, '');
+            }
+        } catch (e) {
+            // No referrer, or not a URL
+        }
+
+        if (!referrer && !Object.keys(utm).length) return null;
+        return { referrer, utm, landedAt: Date.now() };
+    }
+
+    trackContactSubject(subject) {
+        this.setField('contactSubject', subject || null);
+        this.trackInteraction('contact_subject', { subject });
+        this.saveData();
+        this.emit('contact_subject', { subject });
+    }
+
+    // Add to a counter in every scope: lifetime, current session and today
+    recordMetric(group, key, amount = 1) {
+        this.touchSession();
+        [this.data, this.data.session, this.getDayBucket()].forEach(scope => {
+            if (scope[group] && scope[group][key] !== undefined) {
+                scope[group][key] += amount;
+            }
+        });
+        this.broadcast('metric', { group, key, amount });
+    }
+
+    recordScrollDepth(depth) {
+        this.touchSession();
+        [this.data, this.data.session, this.getDayBucket()].forEach(scope => {
+            scope.scrollDepth = Math.max(scope.scrollDepth || 0, depth);
+        });
+        this.broadcast('scroll', { depth });
+    }
+
+    setField(field, value) {
+        this.data[field] = value;
+        this.broadcast('field', { field, value });
+    }
+
+    // Tell other tabs about a local change. Changes are sent as deltas so
+    // every tab ends up with the same totals whichever one saves last.
+    broadcast(type, payload) {
+        if (!this.remote) {
+            this.sync.send(type, payload);
+        }
+    }
+
+    // Apply a change made in another tab without sending it back out
+    applyRemote(type, payload) {
+        this.remote = true;
+        try {
+            switch (type) {
+                case 'metric':
+                    this.recordMetric(payload.group, payload.key, payload.amount);
+                    break;
+                case 'scroll':
+                    this.recordScrollDepth(payload.depth);
+                    break;
+                case 'field':
+                    if (['themePreference', 'contactSubject'].includes(payload.field)) {
+                        this.setField(payload.field, payload.value);
+                    }
+                    break;
+                case 'project_stat':
+                    this.addProjectStat(payload.project, payload.field, payload.amount);
+                    break;
+                case 'interaction':
+                    if (this.consent.hasConsent('analytics')) {
+                        this.addInteraction(payload);
+                    }
+                    break;
+                case 'event':
+                    this.emit(payload.type, { ...payload, remote: true });
+                    break;
+            }
+        } finally {
+            this.remote = false;
+        }
+    }
+
+    // Start a new session after a period of inactivity
+    touchSession(now = Date.now()) {
+        const session = this.data.session;
+        if (!session || now - session.lastActivity > this.metrics.sessionTimeout) {
+            this.data.session = this.createSession(now);
+            this.getDayBucket(now).sessions++;
+            this.emit('session_start', { session: this.data.session.id });
+        }
+        this.data.session.lastActivity = now;
+    }
+
+    getDayKey(time = Date.now()) {
+        const date = new Date(time);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    getDayBucket(now = Date.now()) {
+        const key = this.getDayKey(now);
+        if (!this.data.daily[key]) {
+            this.data.daily[key] = { ...this.createMetricCounts(), sessions: 0 };
+            this.pruneDailyMetrics(now);
+        }
+        return this.data.daily[key];
+    }
+
+    pruneDailyMetrics(now = Date.now()) {
+        const oldest = this.getDayKey(now - (this.metrics.windowDays - 1) * 24 * 60 * 60 * 1000);
+        Object.keys(this.data.daily)
+            .filter(key => key < oldest)
+            .forEach(key => delete this.data.daily[key]);
+    }
+
+    // Totals over the last metrics.windowDays days, including today
+    getRecentMetrics() {
+        this.pruneDailyMetrics();
+        const recent = { ...this.createMetricCounts(), sessions: 0 };
+        Object.values(this.data.daily).forEach(day => {
+            ['clicks', 'timeOnSections', 'sectionViews'].forEach(group => {
+                Object.keys(recent[group]).forEach(key => {
+                    recent[group][key] += (day[group] && day[group][key]) || 0;
+                });
+            });
+            recent.scrollDepth = Math.max(recent.scrollDepth, day.scrollDepth || 0);
+            recent.sessions += day.sessions || 0;
+        });
+        return recent;
+    }
+
+    // Data as rule conditions see it: unprefixed paths are lifetime totals (also
+    // under lifetime.*), session.* covers the current session and recent.* the
+    // rolling window
+    getMetrics() {
+        const { session, daily, schemaVersion, ...lifetime } = this.data;
+        const recent = this.getRecentMetrics();
+        return {
+            ...lifetime,
+            ...this.segmenter.classify(this.data, recent),
+            lifetime,
+            session: session || this.createSession(),
+            recent
+        };
+    }
+
+    // Subscribe to tracker events by type, or '*' for all of them.
+    // Returns a function that removes the listener.
+    on(type, listener) {
+        (this.listeners[type] || (this.listeners[type] = [])).push(listener);
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+        };
+    }
+
+    // Events from other tabs carry remote: true
+    emit(type, detail = {}) {
+        const event = { type, timestamp: Date.now(), ...detail };
+        if (!event.remote) {
+            this.broadcast('event', event);
+        }
+        [...(this.listeners[type] || []), ...(this.listeners['*'] || [])].forEach(listener => {
+            try {
+                listener(event);
+            } catch (e) {
+                console.error(`Error in tracker "${type}" listener:`, e);
+            }
+        });
     }
 
     trackInteraction(type, data = {}) {
-        this.data.interactions.push({
+        // Without analytics consent only the anonymous counters are kept
+        if (!this.consent.hasConsent('analytics')) return;
+
+        this.addInteraction({
             type,
             timestamp: Date.now(),
             ...data
         });
-        
-        // Keep interactions manageable
-        if (this.data.interactions.length > 1000) {
-            this.data.interactions = this.data.interactions.slice(-1000);
+    }
+
+    addInteraction(interaction) {
+        this.data.interactions.push(interaction);
+        this.trimInteractions();
+        this.broadcast('interaction', interaction);
+    }
+
+    // Keep interactions within what the storage backend can hold
+    trimInteractions() {
+        const max = this.storage.maxInteractions;
+        if (this.data.interactions.length > max) {
+            this.data.interactions = this.data.interactions.slice(-max);
         }
     }
 
+    // Goal completions (contact form sent, project CTA clicked)
+    trackConversion(type, metadata = {}) {
+        this.trackInteraction('conversion', { conversion: type, ...metadata });
+        this.saveData();
+        this.emit('conversion', { conversion: type, metadata });
+    }
+
+    onConversion(listener) {
+        // The tab where the conversion happened reports it
+        return this.on('conversion', event => {
+            if (!event.remote) listener(event.conversion, event.metadata);
+        });
+    }
+
     trackThemePreference(preference) {
-        this.data.themePreference = preference;
+        this.setField('themePreference', preference);
         this.trackInteraction('theme_change', { preference });
         this.saveData();
+        this.emit('theme_change', { preference });
     }
 
     incrementVisitCount() {
@@ -168,15 +552,131 @@ class InteractionTracker {
             this.data.lastVisit = today;
             this.trackInteraction('visit');
             this.saveData();
+            this.emit('visit', { count: this.data.visitCount });
         }
     }
 
+    // 0-100, see EngagementModel
     getEngagementScore() {
-        const clicks = Object.values(this.data.clicks).reduce((a, b) => a + b, 0);
-        const time = Object.values(this.data.timeOnSections).reduce((a, b) => a + b, 0) / 1000; // Convert to seconds
-        const scroll = this.data.scrollDepth;
-        
-        return (clicks * 0.3) + (time * 0.4) + (scroll * 0.3);
+        return this.engagementModel.score(this.getEngagementPeriods());
+    }
+
+    // Which signals the score is made of, in points out of 100
+    getEngagementBreakdown() {
+        return this.engagementModel.breakdown(this.getEngagementPeriods());
+    }
+
+    setEngagementModel(model) {
+        this.engagementModel = model;
+    }
+
+    // Daily counters with their age in days, plus everything from before the
+    // rolling window as one period of windowDays
+    getEngagementPeriods(now = Date.now()) {
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+
+        const recent = this.getRecentMetrics();
+        const periods = Object.entries(this.data.daily).map(([key, counts]) => {
+            const [year, month, day] = key.split('-').map(Number);
+            return { counts, ageDays: Math.round((today - new Date(year, month - 1, day)) / (24 * 60 * 60 * 1000)) };
+        });
+
+        const older = this.createMetricCounts();
+        ['clicks', 'timeOnSections', 'sectionViews'].forEach(group => {
+            Object.keys(older[group]).forEach(key => {
+                older[group][key] = Math.max(0, (this.data[group][key] || 0) - recent[group][key]);
+            });
+        });
+        older.scrollDepth = this.data.scrollDepth;
+        periods.push({ counts: older, ageDays: this.metrics.windowDays });
+
+        return periods;
+    }
+
+    // Per-project interest
+    getProjectStats(projectId) {
+        if (!this.data.projects) {
+            this.data.projects = {};
+        }
+        if (!this.data.projects[projectId]) {
+            this.data.projects[projectId] = { clicks: 0, ctaClicks: 0, hoverTime: 0, visibleTime: 0 };
+        }
+        return this.data.projects[projectId];
+    }
+
+    trackProjectClick(projectId, { cta = false } = {}) {
+        this.addProjectStat(projectId, 'clicks', 1);
+        if (cta) {
+            this.addProjectStat(projectId, 'ctaClicks', 1);
+        }
+        this.trackInteraction('project_click', { project: projectId, cta });
+        this.saveData();
+        this.emit('project', { project: projectId });
+    }
+
+    // Hover and on-screen time for rendered project cards
+    observeProjectCards(cards) {
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const projectId = entry.target.dataset.project;
+                if (entry.isIntersecting) {
+                    this.projectVisibleStart[projectId] = Date.now();
+                } else {
+                    this.endProjectTimer(projectId, this.projectVisibleStart, 'visibleTime');
+                }
+            });
+        }, { threshold: 0.5 });
+
+        cards.forEach(card => {
+            const projectId = card.dataset.project;
+            observer.observe(card);
+            card.addEventListener('mouseenter', () => {
+                this.projectHoverStart[projectId] = Date.now();
+            });
+            card.addEventListener('mouseleave', () => {
+                this.endProjectTimer(projectId, this.projectHoverStart, 'hoverTime');
+            });
+        });
+    }
+
+    endProjectTimer(projectId, starts, field) {
+        if (!starts[projectId]) return;
+        this.addProjectStat(projectId, field, Date.now() - starts[projectId]);
+        delete starts[projectId];
+        this.emit('project', { project: projectId });
+    }
+
+    // Count visible time so far for cards still on screen
+    flushProjectVisibility() {
+        const now = Date.now();
+        Object.keys(this.projectVisibleStart).forEach(projectId => {
+            this.addProjectStat(projectId, 'visibleTime', now - this.projectVisibleStart[projectId]);
+            this.projectVisibleStart[projectId] = now;
+        });
+    }
+
+    addProjectStat(projectId, field, amount) {
+        const stats = this.getProjectStats(projectId);
+        if (stats[field] === undefined) return;
+        stats[field] += amount;
+        this.broadcast('project_stat', { project: projectId, field, amount });
+    }
+
+    // Weighted so deliberate actions count more than passive viewing
+    getProjectInterest(projectId) {
+        const stats = this.getProjectStats(projectId);
+        return stats.clicks * 3 +
+            stats.ctaClicks * 5 +
+            (stats.hoverTime / 1000) * 0.5 +
+            (stats.visibleTime / 1000) * 0.1;
+    }
+
+    getProjectRanking() {
+        this.flushProjectVisibility();
+        return Object.keys(this.data.projects || {})
+            .map(projectId => ({ project: projectId, score: this.getProjectInterest(projectId) }))
+            .sort((a, b) => b.score - a.score);
     }
 
     getPopularSection() {
@@ -185,21 +685,55 @@ class InteractionTracker {
     }
 
     saveData() {
-        try {
-            localStorage.setItem('portfolioInteractionData', JSON.stringify(this.data));
-        } catch (e) {
+        // Never overwrite saved data with the defaults used while loading,
+        // and keep everything in memory only until the visitor consents
+        if (!this.loaded || !this.consent.hasAnyConsent()) return Promise.resolve();
+
+        return this.storage.save('portfolioInteractionData', this.data).catch(e => {
             console.warn('Could not save interaction data:', e);
-        }
+        });
     }
 
-    loadData() {
+    // Saved data is upgraded to the current schema; if parts of it are corrupt
+    // they are reset and the original is kept under a backup key
+    async loadData() {
+        if (!this.consent.hasAnyConsent()) return null;
+
+        let saved;
         try {
-            const saved = localStorage.getItem('portfolioInteractionData');
-            return saved ? JSON.parse(saved) : null;
+            await this.migrateLegacyData();
+            saved = await this.storage.load('portfolioInteractionData');
         } catch (e) {
-            console.warn('Could not load interaction data:', e);
+            console.warn('Could not load interaction data, starting fresh:', e);
             return null;
         }
+        if (!saved) return null;
+
+        const { data, problems } = this.schema.upgrade(saved);
+        if (problems.length) {
+            console.warn('Recovered from corrupt interaction data:', problems);
+            await this.storage.save('portfolioInteractionData:corrupt', saved).catch(e => {
+                console.warn('Could not back up corrupt interaction data:', e);
+            });
+        }
+        return data;
+    }
+
+    // Moves data saved by the localStorage-only tracker into the configured backend.
+    // Adapters that keep their copy in localStorage (beacon) have nothing to move.
+    async migrateLegacyData() {
+        if ((this.storage.local || this.storage).type === 'localStorage') return;
+
+        for (const key of ['portfolioInteractionData', 'evolutionHistory']) {
+            const legacy = localStorage.getItem(key);
+            if (!legacy) continue;
+
+            const existing = await this.storage.load(key);
+            if (!existing) {
+                await this.storage.save(key, JSON.parse(legacy));
+            }
+            localStorage.removeItem(key);
+        }
     }
 
     getData() {
@@ -208,37 +742,42 @@ class InteractionTracker {
 
     resetData() {
         this.data = {
-            clicks: {
-                projects: 0,
-                contact: 0,
-                about: 0,
-                themeToggle: 0,
-                social: 0,
-                cta: 0,
-                navigation: 0
-            },
-            scrollDepth: 0,
-            timeOnSections: {
-                home: 0,
-                about: 0,
-                projects: 0,
-                contact: 0
-            },
-            sectionViews: {
-                home: 0,
-                about: 0,
-                projects: 0,
-                contact: 0
-            },
-            themePreference: 'light',
+            ...this.createDefaultData(),
             lastVisit: new Date().toDateString(),
-            visitCount: 1,
-            interactions: []
+            visitCount: 1
         };
         this.saveData();
         return this.data;
     }
 
+    // Erase everything stored about the visitor, e.g. after consent is revoked
+    async deleteData() {
+        this.data = this.createDefaultData();
+        this.maxScrollDepth = 0;
+        try {
+            await this.storage.remove('portfolioInteractionData');
+            await this.storage.remove('portfolioInteractionData:corrupt');
+        } catch (e) {
+            console.warn('Could not delete interaction data:', e);
+        }
+    }
+
+    handleConsentChange({ categories, granted }) {
+        if (granted) {
+            // Keep what was counted anonymously this session
+            this.saveData();
+        } else if (categories.includes('personalization')) {
+            this.deleteData().then(() => this.saveData());
+        } else if (categories.includes('analytics')) {
+            // The counters are still covered by personalization; only the
+            // detailed log (and the backup that may hold it) goes
+            this.data.interactions = [];
+            this.storage.remove('portfolioInteractionData:corrupt')
+                .catch(e => console.warn('Could not delete interaction data:', e))
+                .then(() => this.saveData());
+        }
+    }
+
     // Analytics methods
     getClickHeatmap() {
         return this.data.interactions
@@ -256,5 +795,22 @@ class InteractionTracker {
     }
 }
 
-// Create global instance
-const interactionTracker = new InteractionTracker();
\ No newline at end of file
+// Tracker events and the data fields each one changes; rules that depend on
+// a field are re-evaluated when one of its events fires
+InteractionTracker.dataEvents = {
+    clicks: ['click'],
+    scrollDepth: ['scroll'],
+    timeOnSections: ['section_view'],
+    sectionViews: ['section_view'],
+    themePreference: ['theme_change'],
+    lastVisit: ['visit'],
+    visitCount: ['visit'],
+    projects: ['project'],
+    contactSubject: ['contact_subject'],
+    acquisition: ['session_start'],
+    segment: ['click', 'section_view', 'visit', 'contact_subject', 'session_start'],
+    segments: ['click', 'section_view', 'visit', 'contact_subject', 'session_start']
+};
+
+// Prefixes rule paths may use to pick a time scope, e.g. session.clicks.projects
+InteractionTracker.metricScopes = ['lifetime', 'session', 'recent'];
\ No newline at end of file
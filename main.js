@@ -1,13 +1,44 @@
 // Enhanced Main Application Module
-class PortfolioApp {
-    constructor() {
+import { ContactForm } from './contactForm.js';
+import { DataPortability } from './dataPortability.js';
+import { DebugOverlay } from './debugOverlay.js';
+import { EvolutionEngine } from './evolutionEngine.js';
+import { InteractionTracker } from './interactionTracker.js';
+import { OwnerDashboard } from './ownerDashboard.js';
+import { ProjectCatalog } from './projectCatalog.js';
+import { ProjectModal } from './projectModal.js';
+import { SessionRecorder } from './sessionRecorder.js';
+import { SessionReplay } from './sessionReplay.js';
+import { TransparencyPanel } from './transparencyPanel.js';
+
+export class PortfolioApp {
+    constructor(interactionTracker) {
         this.tracker = interactionTracker;
-        this.evolutionEngine = new EvolutionEngine(this.tracker);
-        this.init();
+        // Wait for saved data so evolutions and preferences apply to the real state
+        this.ready = this.tracker.ready.then(() => {
+            // Cards must exist before evolutions are replayed onto them
+            this.projectCatalog = new ProjectCatalog(this.tracker);
+            this.tracker.observeProjectCards(this.projectCatalog.getCards());
+            this.evolutionEngine = new EvolutionEngine(this.tracker);
+            // Recordings start with the evolutions the engine restored
+            return this.evolutionEngine.ready;
+        }).then(() => {
+            this.sessionRecorder = new SessionRecorder(this.tracker, this.evolutionEngine);
+            this.sessionReplay = new SessionReplay(this.sessionRecorder);
+            this.dataPortability = new DataPortability(this.tracker, this.evolutionEngine, this.sessionRecorder);
+            this.transparencyPanel = new TransparencyPanel(this.evolutionEngine, this.dataPortability);
+            this.ownerDashboard = new OwnerDashboard(this.tracker, this.evolutionEngine, this.dataPortability, this.sessionReplay);
+            this.debugOverlay = new DebugOverlay(this.tracker, this.evolutionEngine, this.sessionRecorder);
+            this.projectModal = new ProjectModal(this.tracker);
+            this.contactForm = new ContactForm(this.tracker, undefined, (message, type) => this.showNotification(message, type));
+            this.init();
+            return this;
+        });
     }
 
     init() {
         this.setupEventListeners();
+        this.setupConsentBanner();
         this.applySavedPreferences();
         this.setupSmoothScrolling();
         this.setupAnimations();
@@ -40,22 +71,32 @@ class PortfolioApp {
             });
         });
 
-        // Project interactions
-        const projectCards = document.querySelectorAll('.project-card');
-        projectCards.forEach(card => {
-            card.addEventListener('click', () => {
+        // Project interactions (cards are rendered, so listen on the grid)
+        const projectsGrid = document.getElementById('projectsGrid');
+        if (projectsGrid) {
+            projectsGrid.addEventListener('click', (e) => {
+                const card = e.target.closest('.project-card');
+                if (!card) return;
+
+                const projectId = card.dataset.project;
+                const isCta = Boolean(e.target.closest('.project-cta'));
                 this.tracker.trackClick('projects');
+                this.tracker.trackProjectClick(projectId, { cta: isCta });
+                if (isCta) {
+                    this.tracker.trackConversion('project_cta', { project: projectId });
+                    this.showProjectModal(projectId);
+                }
             });
-        });
+        }
 
         // CTA buttons
         const exploreBtn = document.getElementById('exploreProjects');
         const contactHeroBtn = document.getElementById('contactHero');
-        const projectCtAs = document.querySelectorAll('.project-cta');
 
         if (exploreBtn) {
             exploreBtn.addEventListener('click', () => {
-                this.scrollToSection('projects');
+                // Persona evolutions may point the primary CTA elsewhere
+                this.scrollToSection(exploreBtn.dataset.section || 'projects');
                 this.tracker.trackClick('cta');
             });
         }
@@ -67,13 +108,21 @@ class PortfolioApp {
             });
         }
 
-        projectCtAs.forEach(cta => {
-            cta.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.tracker.trackClick('projects');
-                // In a real app, this would open project details
-                this.showProjectModal(e.target.closest('.project-card').dataset.project);
-            });
+        // Social and profile links; the network tells developers from recruiters
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.social-link, .contact-method, .project-actions a');
+            if (!link) return;
+
+            const network = ['github', 'linkedin', 'twitter', 'dribbble']
+                .find(name => link.querySelector(`.fa-${name}`) || (link.href || '').includes(`${name}.com`));
+            if (network || link.matches('.social-link')) {
+                this.tracker.trackClick('social', network);
+            }
+        });
+
+        // Theme picked in another tab
+        this.tracker.on('theme_change', (e) => {
+            if (e.remote) this.applyTheme(e.preference === 'dark');
         });
 
         // Contact form
@@ -94,6 +143,39 @@ class PortfolioApp {
             });
         }
 
+        // Undo the evolution shown in the notice
+        const undoEvolution = document.getElementById('undoEvolution');
+        if (undoEvolution) {
+            undoEvolution.addEventListener('click', () => {
+                const notice = document.getElementById('evolutionNotice');
+                const name = notice?.dataset.evolution;
+                if (name && this.evolutionEngine.undoEvolution(name)) {
+                    this.showNotification('Change undone. We won\'t apply it again.', 'info');
+                }
+            });
+        }
+
+        // Explain the evolution shown in the notice
+        const explainEvolution = document.getElementById('explainEvolution');
+        if (explainEvolution) {
+            explainEvolution.addEventListener('click', () => {
+                this.hideEvolutionNotice();
+                this.transparencyPanel.open();
+            });
+        }
+
+        // Restore the original layout
+        const resetLayout = document.getElementById('resetLayout');
+        if (resetLayout) {
+            resetLayout.addEventListener('click', () => {
+                const undone = this.evolutionEngine.resetLayout();
+                this.showNotification(
+                    undone.length ? 'Layout restored to its original state.' : 'The layout is already in its original state.',
+                    'info'
+                );
+            });
+        }
+
         // Menu toggle for mobile
         const menuToggle = document.getElementById('menuToggle');
         if (menuToggle) {
@@ -103,6 +185,67 @@ class PortfolioApp {
         }
     }
 
+    setupConsentBanner() {
+        const banner = document.getElementById('consentBanner');
+        if (!banner) return;
+
+        const consent = this.tracker.consent;
+        const checkboxes = banner.querySelectorAll('input[data-consent]');
+        const close = (message) => {
+            this.hideConsentBanner();
+            this.showNotification(message, 'info');
+        };
+
+        document.getElementById('consentAcceptAll')?.addEventListener('click', () => {
+            consent.grantConsent();
+            close('Thanks! The site will now adapt to you.');
+        });
+
+        document.getElementById('consentReject')?.addEventListener('click', () => {
+            consent.revokeConsent();
+            close('Understood. Nothing about your visit will be stored.');
+        });
+
+        document.getElementById('consentSave')?.addEventListener('click', () => {
+            checkboxes.forEach(checkbox => {
+                const category = checkbox.dataset.consent;
+                if (checkbox.checked) {
+                    consent.grantConsent(category);
+                } else {
+                    consent.revokeConsent(category);
+                }
+            });
+            close('Privacy preferences saved.');
+        });
+
+        document.getElementById('privacySettings')?.addEventListener('click', () => {
+            this.showConsentBanner();
+        });
+
+        if (consent.needsDecision()) {
+            this.showConsentBanner();
+        }
+    }
+
+    showConsentBanner() {
+        const banner = document.getElementById('consentBanner');
+        if (!banner) return;
+
+        banner.querySelectorAll('input[data-consent]').forEach(checkbox => {
+            checkbox.checked = this.tracker.consent.hasConsent(checkbox.dataset.consent);
+        });
+        banner.classList.add('show');
+        banner.setAttribute('aria-hidden', 'false');
+    }
+
+    hideConsentBanner() {
+        const banner = document.getElementById('consentBanner');
+        if (banner) {
+            banner.classList.remove('show');
+            banner.setAttribute('aria-hidden', 'true');
+        }
+    }
+
     setupAnimations() {
         // Intersection Observer for scroll animations
         const observerOptions = {
@@ -113,11 +256,8 @@ class PortfolioApp {
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
+                    // Section views are counted by the tracker
                     entry.target.classList.add('loaded');
-                    
-                    // Track section view
-                    const section = entry.target.id;
-                    this.tracker.trackSectionView(section);
                 }
             });
         }, observerOptions);
@@ -202,16 +342,20 @@ class PortfolioApp {
     }
 
     toggleTheme() {
-        document.body.classList.toggle('dark-theme');
-        const isDark = document.body.classList.contains('dark-theme');
+        const isDark = !document.body.classList.contains('dark-theme');
+        this.applyTheme(isDark);
+        
+        this.tracker.trackClick('themeToggle');
+        this.tracker.trackThemePreference(isDark ? 'dark' : 'light');
+    }
+
+    applyTheme(isDark) {
+        document.body.classList.toggle('dark-theme', isDark);
         const themeToggle = document.getElementById('themeToggle');
         
         if (themeToggle) {
             themeToggle.innerHTML = isDark ? '<i class="fas fa-sun"></i>' : '<i class="fas fa-moon"></i>';
         }
-        
-        this.tracker.trackClick('themeToggle');
-        this.tracker.trackThemePreference(isDark ? 'dark' : 'light');
     }
 
     scrollToSection(sectionId) {
@@ -238,39 +382,30 @@ class PortfolioApp {
         
         // Apply theme preference
         if (data.themePreference === 'dark') {
-            document.body.classList.add('dark-theme');
-            const themeToggle = document.getElementById('themeToggle');
-            if (themeToggle) themeToggle.innerHTML = '<i class="fas fa-sun"></i>';
+            this.applyTheme(true);
         }
 
-        // Apply any previous evolutions
+        // Re-evaluate rules now that preferences are applied
         this.evolutionEngine.checkEvolutionRules();
     }
 
-    handleContactSubmit() {
-        const name = document.getElementById('name').value;
-        const email = document.getElementById('email').value;
-        const subject = document.getElementById('subject').value;
-        const message = document.getElementById('message').value;
-
-        if (!name || !email || !subject || !message) {
-            this.showNotification('Please fill in all fields before sending.', 'error');
-            return;
-        }
-
-        // Simulate form submission
-        this.showNotification('Message sent successfully! I\'ll get back to you soon.', 'success');
-        
-        // Clear form
-        document.getElementById('name').value = '';
-        document.getElementById('email').value = '';
-        document.getElementById('subject').value = '';
-        document.getElementById('message').value = '';
+    async handleContactSubmit() {
+        const { status } = await this.contactForm.submit();
+
+        // Blocked submissions get the normal confirmation so bots learn nothing
+        const messages = {
+            sent: ['Message sent successfully! I\'ll get back to you soon.', 'success'],
+            blocked: ['Message sent successfully! I\'ll get back to you soon.', 'success'],
+            mailto: ['Opening your email app so you can send the message.', 'info'],
+            queued: ['Your message couldn\'t be sent right now, so it was saved. It will be sent automatically as soon as it can be.', 'info'],
+            failed: ['Sorry, your message could not be sent. Please try again or email me directly.', 'error'],
+            invalid: ['Please fix the highlighted fields before sending.', 'error']
+        };
+        this.showNotification(...messages[status]);
     }
 
     showProjectModal(projectId) {
-        // In a real app, this would show a detailed project modal
-        this.showNotification(`Opening ${projectId} details...`, 'info');
+        this.projectModal.show(projectId);
     }
 
     showNotification(message, type = 'info') {
@@ -343,10 +478,12 @@ class PortfolioApp {
     }
 }
 
-// Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    const app = new PortfolioApp();
-    
+// Start the portfolio on the current page. Importing the modules has no side
+// effects; Index.html calls this once the document is parsed, and tests can
+// call it on a document of their own.
+export function bootstrap() {
+    const app = new PortfolioApp(new InteractionTracker());
+
     // Make app globally available for debugging
     window.portfolioApp = app;
     
@@ -374,4 +511,5 @@ document.addEventListener('DOMContentLoaded', () => {
         .notification-warning i { color: #f59e0b; }
     `;
     document.head.appendChild(style);
-});
\ No newline at end of file
+    return app;
+}
\ No newline at end of file
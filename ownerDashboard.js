@@ -0,0 +1,351 @@
+// Owner Dashboard Module
+// Hidden analytics view, opened with ?dashboard or #/admin. Everything is
+// rendered locally from tracker and evolution data; no external chart services.
+import { DataImportError } from './dataPortability.js';
+import { escapeHTML, formatDuration } from './utils.js';
+
+export class OwnerDashboard {
+    constructor(interactionTracker, evolutionEngine, dataPortability, sessionReplay) {
+        this.tracker = interactionTracker;
+        this.engine = evolutionEngine;
+        this.dataPortability = dataPortability;
+        this.sessionReplay = sessionReplay;
+        this.importStatus = '';
+        this.element = null;
+        this.heatmap = null;
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('hashchange', () => this.route());
+        this.route();
+    }
+
+    isRequested() {
+        return new URLSearchParams(window.location.search).has('dashboard') ||
+            window.location.hash === '#/admin';
+    }
+
+    route() {
+        if (this.isRequested()) {
+            this.open();
+        } else if (this.element) {
+            this.close();
+        }
+    }
+
+    open() {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'owner-dashboard';
+            this.element.setAttribute('role', 'dialog');
+            this.element.setAttribute('aria-label', 'Analytics dashboard');
+            document.body.appendChild(this.element);
+
+            this.element.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-dashboard-action]')?.dataset.dashboardAction;
+                if (action === 'close') this.exit();
+                if (action === 'heatmap') this.toggleHeatmap();
+                if (action === 'refresh') this.render();
+                if (action === 'export-json') this.dataPortability.downloadJSON();
+                if (action === 'export-interactions') this.dataPortability.downloadCSV('interactions');
+                if (action === 'export-history') this.dataPortability.downloadCSV('history');
+                if (action === 'replay') this.replay(e.target.closest('[data-recording]').dataset.recording);
+            });
+
+            this.element.addEventListener('change', (e) => {
+                if (e.target.matches('[data-dashboard-import]') && e.target.files.length) {
+                    this.importFile(e.target.files[0], this.element.querySelector('[data-dashboard-import-mode]').value);
+                }
+            });
+        }
+        this.render();
+    }
+
+    close() {
+        this.hideHeatmap();
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    // Leave the dashboard route without reloading the page
+    exit() {
+        const url = new URL(window.location.href);
+        url.searchParams.delete('dashboard');
+        url.hash = '';
+        history.replaceState(null, '', url);
+        this.close();
+    }
+
+    render() {
+        const data = this.tracker.getData();
+        const insights = this.engine.getEvolutionInsights();
+
+        this.element.innerHTML = `
+            <div class="dashboard-header">
+                <h2>Portfolio Analytics</h2>
+                <div class="dashboard-actions">
+                    <button class="btn btn-secondary" data-dashboard-action="heatmap">
+                        <i class="fas fa-fire"></i>
+                        <span>${this.heatmap ? 'Hide' : 'Show'} heatmap</span>
+                    </button>
+                    <button class="btn btn-secondary" data-dashboard-action="refresh">
+                        <i class="fas fa-sync"></i>
+                    </button>
+                    <button class="notice-close" data-dashboard-action="close" aria-label="Close dashboard">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="dashboard-summary">
+                ${this.renderStat('Visits', data.visitCount)}
+                ${this.renderStat(`Sessions (${this.tracker.metrics.windowDays} days)`, this.tracker.getRecentMetrics().sessions)}
+                ${this.renderStat('Engagement', Math.round(this.tracker.getEngagementScore()))}
+                ${this.renderStat('Segment', this.tracker.getMetrics().segment)}
+                ${this.renderStat('Max scroll', `${data.scrollDepth}%`)}
+                ${this.renderStat('Evolutions', insights.totalEvolutions)}
+            </div>
+            <div class="dashboard-grid">
+                <section class="dashboard-card">
+                    <h3>Time per section</h3>
+                    ${this.renderBarChart(data.timeOnSections, formatDuration)}
+                </section>
+                <section class="dashboard-card">
+                    <h3>Section views</h3>
+                    ${this.renderBarChart(data.sectionViews)}
+                </section>
+                <section class="dashboard-card">
+                    <h3>Activity by hour</h3>
+                    ${this.renderHourChart(this.tracker.getPopularInteractionTimes())}
+                </section>
+                <section class="dashboard-card">
+                    <h3>Engagement score trend</h3>
+                    ${this.renderTrendChart(this.getEngagementTrend())}
+                </section>
+                <section class="dashboard-card">
+                    <h3>Engagement breakdown</h3>
+                    ${this.renderBarChart(this.getEngagementBreakdown(), value => `${value.toFixed(1)} pts`)}
+                </section>
+                <section class="dashboard-card">
+                    <h3>Evolutions fired</h3>
+                    ${this.renderBarChart(this.getEvolutionCounts())}
+                </section>
+                <section class="dashboard-card">
+                    <h3>Project interest</h3>
+                    ${this.renderBarChart(this.getProjectInterest(), value => value.toFixed(1))}
+                </section>
+                <section class="dashboard-card">
+                    <h3>Clicks</h3>
+                    ${this.renderBarChart(data.clicks)}
+                </section>
+                <section class="dashboard-card">
+                    <h3>Session recordings</h3>
+                    ${this.renderRecordings()}
+                </section>
+                <section class="dashboard-card">
+                    <h3>Data</h3>
+                    <div class="dashboard-actions">
+                        <button class="btn btn-secondary" data-dashboard-action="export-json">JSON</button>
+                        <button class="btn btn-secondary" data-dashboard-action="export-interactions">Interactions CSV</button>
+                        <button class="btn btn-secondary" data-dashboard-action="export-history">History CSV</button>
+                    </div>
+                    <label class="dashboard-import">
+                        <span>Import an export</span>
+                        <select data-dashboard-import-mode aria-label="Import mode">
+                            <option value="merge">Merge with current data</option>
+                            <option value="replace">Replace current data</option>
+                        </select>
+                        <input type="file" accept="application/json,.json" data-dashboard-import>
+                    </label>
+                    ${this.importStatus ? `<p class="dashboard-empty" role="status">${escapeHTML(this.importStatus)}</p>` : ''}
+                </section>
+            </div>
+        `;
+    }
+
+    renderStat(label, value) {
+        return `
+            <div class="dashboard-stat">
+                <strong>${escapeHTML(value)}</strong>
+                <span>${escapeHTML(label)}</span>
+            </div>
+        `;
+    }
+
+    renderBarChart(values, format = value => value) {
+        const entries = Object.entries(values).sort((a, b) => b[1] - a[1]);
+        const max = Math.max(1, ...entries.map(([, value]) => value));
+
+        if (!entries.length) {
+            return '<p class="dashboard-empty">No data yet.</p>';
+        }
+
+        return `<ul class="bar-chart">${entries.map(([label, value]) => `
+            <li>
+                <span class="bar-label">${escapeHTML(label)}</span>
+                <span class="bar-track"><span class="bar-fill" style="width: ${(value / max) * 100}%"></span></span>
+                <span class="bar-value">${escapeHTML(format(value))}</span>
+            </li>
+        `).join('')}</ul>`;
+    }
+
+    renderHourChart(byHour) {
+        const counts = Array.from({ length: 24 }, (_, hour) => byHour[hour] || 0);
+        const max = Math.max(1, ...counts);
+
+        return `<div class="hour-chart">${counts.map((count, hour) => `
+            <span class="hour-bar" style="height: ${(count / max) * 100}%" title="${hour}:00 · ${count} interactions"></span>
+        `).join('')}</div>
+        <div class="hour-axis"><span>0h</span><span>6h</span><span>12h</span><span>18h</span><span>23h</span></div>`;
+    }
+
+    renderTrendChart(points) {
+        if (points.length < 2) {
+            return '<p class="dashboard-empty">Not enough history for a trend yet.</p>';
+        }
+
+        const width = 300;
+        const height = 120;
+        const first = points[0].time;
+        const span = Math.max(1, points[points.length - 1].time - first);
+        const max = Math.max(1, ...points.map(point => point.score));
+        const coordinates = points.map(point => [
+            ((point.time - first) / span) * width,
+            height - (point.score / max) * height
+        ]);
+
+        return `
+            <svg class="trend-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img"
+                aria-label="Engagement score from ${Math.round(points[0].score)} to ${Math.round(points[points.length - 1].score)}">
+                <polyline points="${coordinates.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}" />
+            </svg>
+            <div class="hour-axis">
+                <span>${new Date(first).toLocaleDateString()}</span>
+                <span>now · ${Math.round(points[points.length - 1].score)}</span>
+            </div>
+        `;
+    }
+
+    // Scores logged with each evolution, ending with the current score
+    getEngagementTrend() {
+        return this.engine.getEvolutionHistory()
+            .map(event => ({ time: new Date(event.timestamp).getTime(), score: event.engagementScore }))
+            .concat({ time: Date.now(), score: this.tracker.getEngagementScore() });
+    }
+
+    getEvolutionCounts() {
+        const counts = {};
+        this.engine.getEvolutionHistory()
+            .filter(event => event.rule)
+            .forEach(event => {
+                counts[event.rule] = (counts[event.rule] || 0) + 1;
+            });
+        return counts;
+    }
+
+    getEngagementBreakdown() {
+        const points = {};
+        this.tracker.getEngagementBreakdown().signals.forEach(({ signal, points: value }) => {
+            points[signal] = value;
+        });
+        return points;
+    }
+
+    getProjectInterest() {
+        const interest = {};
+        this.tracker.getProjectRanking().forEach(({ project, score }) => {
+            interest[project] = score;
+        });
+        return interest;
+    }
+
+    renderRecordings() {
+        const recordings = this.sessionReplay.recorder.getRecordings().slice().reverse();
+        if (!recordings.length) {
+            return '<p class="dashboard-empty">No recordings yet.</p>';
+        }
+
+        return `<ul class="recording-list">${recordings.map(recording => {
+            const events = recording.events;
+            const duration = events.length ? events[events.length - 1].time - recording.startedAt : 0;
+            const evolutions = events.filter(event => event.type === 'evolution').length;
+            return `
+                <li data-recording="${escapeHTML(recording.id)}">
+                    <span>
+                        <strong>${escapeHTML(new Date(recording.startedAt).toLocaleString())}</strong>
+                        <span class="bar-value">${formatDuration(duration)} · ${events.length} events · ${evolutions} evolutions</span>
+                    </span>
+                    <button class="btn btn-secondary" data-dashboard-action="replay">
+                        <i class="fas fa-play"></i>
+                        <span>Replay</span>
+                    </button>
+                </li>
+            `;
+        }).join('')}</ul>`;
+    }
+
+    // The replay runs over the page itself, so the dashboard gets out of the way
+    replay(id) {
+        const recording = this.sessionReplay.recorder.getRecording(id);
+        if (!recording) return;
+        this.exit();
+        this.sessionReplay.open(recording);
+    }
+
+    async importFile(file, mode) {
+        try {
+            const result = await this.dataPortability.importData(await file.text(), { mode });
+            this.importStatus = `Imported ${result.interactions} interactions, ${result.history} evolution events and ${result.recordings} recordings (${mode}).`;
+        } catch (e) {
+            this.importStatus = e instanceof DataImportError ? e.message : `Import failed: ${e.message}`;
+            console.warn('Could not import data:', e);
+        }
+        this.render();
+    }
+
+    toggleHeatmap() {
+        if (this.heatmap) {
+            this.hideHeatmap();
+        } else {
+            this.showHeatmap();
+        }
+        this.render();
+    }
+
+    // Draws recorded clicks over the page; older clicks without page
+    // coordinates fall back to their viewport position
+    showHeatmap() {
+        const width = document.documentElement.scrollWidth;
+        const height = document.documentElement.scrollHeight;
+        const canvas = document.createElement('canvas');
+        canvas.className = 'heatmap-overlay';
+        canvas.width = width;
+        canvas.height = height;
+
+        const context = canvas.getContext('2d');
+        if (context) {
+            this.tracker.getData().interactions
+                .filter(interaction => interaction.type === 'click' && (interaction.page || interaction.position))
+                .forEach(interaction => {
+                    const { x, y } = interaction.page || interaction.position;
+                    const gradient = context.createRadialGradient(x, y, 0, x, y, 30);
+                    gradient.addColorStop(0, 'rgba(239, 68, 68, 0.35)');
+                    gradient.addColorStop(1, 'rgba(239, 68, 68, 0)');
+                    context.fillStyle = gradient;
+                    context.fillRect(x - 30, y - 30, 60, 60);
+                });
+        }
+
+        document.body.appendChild(canvas);
+        this.heatmap = canvas;
+    }
+
+    hideHeatmap() {
+        if (this.heatmap) {
+            this.heatmap.remove();
+            this.heatmap = null;
+        }
+    }
+}
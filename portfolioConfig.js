@@ -0,0 +1,63 @@
+// Site Configuration Module
+// Settings live in <script type="application/json" id="portfolioConfig"> so
+// they can be changed without touching JS. Missing keys fall back to defaults.
+export const DEFAULT_PORTFOLIO_CONFIG = {
+    storage: {
+        type: 'localStorage'
+    },
+    // Sessions end after this much inactivity; recent.* rule paths cover windowDays.
+    // Section time stops counting after idleTimeout without input
+    metrics: {
+        sessionTimeout: 30 * 60 * 1000,
+        idleTimeout: 60 * 1000,
+        windowDays: 7
+    },
+    // Engagement score tuning, e.g. signals: { time: { weight: 0.2, cap: 300 } }
+    engagement: {
+        halfLifeDays: 3,
+        signals: {}
+    },
+    // Visitors are assigned a persona once its score reaches threshold (0-1).
+    // referrers adds hostnames per persona, e.g. { recruiter: ['hired.com'] }
+    segments: {
+        threshold: 0.5,
+        referrers: {}
+    },
+    // dryRun evaluates rules and logs which would apply without changing the
+    // page; ?dryrun in the URL does the same
+    evolution: {
+        dryRun: false
+    },
+    // Without an endpoint the contact form falls back to mailto
+    contact: {
+        endpoint: '',
+        mailto: 'iszydzire@gmail.com',
+        minFillTime: 3000,
+        retryDelay: 5000,
+        maxAttempts: 5
+    }
+};
+
+export function loadPortfolioConfig() {
+    const element = document.getElementById('portfolioConfig');
+    let config = {};
+
+    if (element && element.textContent.trim()) {
+        try {
+            config = JSON.parse(element.textContent);
+        } catch (e) {
+            console.warn('Could not parse portfolio config, using defaults:', e);
+        }
+    }
+
+    return {
+        ...DEFAULT_PORTFOLIO_CONFIG,
+        ...config,
+        storage: { ...DEFAULT_PORTFOLIO_CONFIG.storage, ...config.storage },
+        metrics: { ...DEFAULT_PORTFOLIO_CONFIG.metrics, ...config.metrics },
+        engagement: { ...DEFAULT_PORTFOLIO_CONFIG.engagement, ...config.engagement },
+        segments: { ...DEFAULT_PORTFOLIO_CONFIG.segments, ...config.segments },
+        evolution: { ...DEFAULT_PORTFOLIO_CONFIG.evolution, ...config.evolution },
+        contact: { ...DEFAULT_PORTFOLIO_CONFIG.contact, ...config.contact }
+    };
+}
@@ -0,0 +1,162 @@
+// Project Catalog Module
+// Renders project cards from PROJECT_DATA with tag filtering and sorting.
+// Cards are rendered once and only hidden or moved afterwards, so evolutions
+// that style or reorder them keep working across filter changes.
+import { PROJECT_DATA } from './projectData.js';
+import { escapeHTML } from './utils.js';
+
+export class ProjectCatalog {
+    constructor(interactionTracker, projects = PROJECT_DATA) {
+        this.tracker = interactionTracker;
+        this.projects = projects;
+        this.grid = document.getElementById('projectsGrid');
+        this.toolbar = document.getElementById('projectToolbar');
+        this.activeTag = null;
+        this.sortOrder = 'featured';
+        this.init();
+    }
+
+    init() {
+        if (!this.grid) return;
+
+        this.projects.forEach(project => this.grid.appendChild(this.renderCard(project)));
+        this.renderToolbar();
+    }
+
+    renderCard(project) {
+        const link = project.links?.[0];
+        const card = document.createElement('div');
+        card.className = 'project-card glass-card';
+        card.dataset.project = project.id;
+        card.dataset.tags = (project.tags || []).join('|');
+
+        card.innerHTML = `
+            <div class="project-header">
+                <div class="project-icon">${escapeHTML(project.icon)}</div>
+                <div class="project-actions">
+                    ${link ? `
+                        <a class="icon-btn" href="${escapeHTML(link.url)}" target="_blank" rel="noopener" aria-label="${escapeHTML(link.label)}">
+                            <i class="fas fa-external-link-alt"></i>
+                        </a>
+                    ` : ''}
+                </div>
+            </div>
+            <h3 class="project-title">${escapeHTML(project.title)}</h3>
+            <p class="project-description">${escapeHTML(project.description)}</p>
+            <div class="project-features">
+                ${(project.features || []).map(feature => `<span class="feature-tag">${escapeHTML(feature)}</span>`).join('')}
+            </div>
+            <div class="project-footer">
+                <div class="project-stats">
+                    <div class="stat">
+                        <i class="fas fa-heart"></i>
+                        <span>${escapeHTML(this.formatCount(project.stats?.likes || 0))}</span>
+                    </div>
+                    <div class="stat">
+                        <i class="fas fa-eye"></i>
+                        <span>${escapeHTML(this.formatCount(project.stats?.views || 0))}</span>
+                    </div>
+                </div>
+                <button class="project-cta">
+                    <span>${escapeHTML(project.cta || 'View Project')}</span>
+                    <i class="fas fa-arrow-right"></i>
+                </button>
+            </div>
+        `;
+        return card;
+    }
+
+    renderToolbar() {
+        if (!this.toolbar) return;
+
+        this.toolbar.innerHTML = `
+            <div class="project-filters" role="group" aria-label="Filter projects by tag">
+                <button class="filter-chip active" data-tag="" aria-pressed="true">All</button>
+                ${this.getTags().map(tag => `
+                    <button class="filter-chip" data-tag="${escapeHTML(tag)}" aria-pressed="false">${escapeHTML(tag)}</button>
+                `).join('')}
+            </div>
+            <label class="project-sort">
+                <span>Sort by</span>
+                <select id="projectSort">
+                    <option value="featured">Featured</option>
+                    <option value="popular">Most popular</option>
+                    <option value="title">Title</option>
+                </select>
+            </label>
+        `;
+
+        this.toolbar.addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (chip) {
+                this.filterByTag(chip.dataset.tag || null);
+                this.tracker.trackInteraction('project_filter', { tag: chip.dataset.tag || 'all' });
+            }
+        });
+
+        this.toolbar.querySelector('#projectSort').addEventListener('change', (e) => {
+            this.sortBy(e.target.value);
+            this.tracker.trackInteraction('project_sort', { order: e.target.value });
+        });
+    }
+
+    getTags() {
+        return [...new Set(this.projects.flatMap(project => project.tags || []))].sort();
+    }
+
+    getCards() {
+        return [...this.grid.querySelectorAll('.project-card')];
+    }
+
+    getCard(projectId) {
+        return this.getCards().find(card => card.dataset.project === projectId) || null;
+    }
+
+    filterByTag(tag) {
+        this.activeTag = tag;
+        this.getCards().forEach(card => {
+            card.hidden = Boolean(tag) && !card.dataset.tags.split('|').includes(tag);
+        });
+        this.toolbar?.querySelectorAll('.filter-chip').forEach(chip => {
+            const active = (chip.dataset.tag || null) === tag;
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-pressed', String(active));
+        });
+    }
+
+    sortBy(order) {
+        const interest = this.getInterest();
+        const sorters = {
+            featured: (a, b) => this.projects.indexOf(a) - this.projects.indexOf(b),
+            // By this visitor's interest; ties keep the featured order
+            popular: (a, b) => (interest.get(b.id) || 0) - (interest.get(a.id) || 0),
+            title: (a, b) => a.title.localeCompare(b.title)
+        };
+        if (!sorters[order]) return;
+
+        this.sortOrder = order;
+        this.setOrder(this.projects.slice().sort(sorters[order]).map(project => project.id));
+    }
+
+    // Project id -> interest score, as used to feature the most popular project
+    getInterest() {
+        return new Map(this.tracker.getProjectRanking().map(({ project, score }) => [project, score]));
+    }
+
+    // Reorder cards to match the given ids; unknown ids are ignored and
+    // unlisted cards keep their relative order after the listed ones
+    setOrder(projectIds) {
+        const cards = this.getCards();
+        const listed = projectIds.map(id => cards.find(card => card.dataset.project === id)).filter(Boolean);
+        const rest = cards.filter(card => !listed.includes(card));
+        [...listed, ...rest].forEach(card => this.grid.appendChild(card));
+    }
+
+    getOrder() {
+        return this.getCards().map(card => card.dataset.project);
+    }
+
+    formatCount(count) {
+        return count >= 1000 ? `${(count / 1000).toFixed(1).replace(/\.0$/, '')}K` : String(count);
+    }
+}
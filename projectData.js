@@ -0,0 +1,79 @@
+// Project Data Module
+// One entry per project, keyed by the id used in data-project attributes.
+// ProjectCatalog renders the cards from this list, so adding a project only
+// means adding an entry here. `features` are shown on the card, `tags` drive
+// filtering, `stats.views` is a plain number used for popularity sorting.
+export const PROJECT_DATA = [
+    {
+        id: 'evolving-web',
+        title: 'Evolving Web Platform',
+        icon: '🌐',
+        description: 'A revolutionary website that redesigns itself in real-time based on user interaction patterns and preferences.',
+        longDescription: 'The Evolving Web Platform watches how visitors move through a site — what they click, where they linger and what they skip — and rewrites its own layout, copy and calls to action to match. Every change is rule-driven, reversible and explained to the visitor, so the site adapts without becoming a black box.',
+        features: ['AI-Powered', 'Real-time', 'Adaptive'],
+        techStack: ['JavaScript', 'IntersectionObserver', 'IndexedDB', 'CSS Custom Properties'],
+        metrics: [
+            { label: 'Conversion lift', value: '+18%' },
+            { label: 'Avg. session', value: '3m 40s' },
+            { label: 'Rules shipped', value: '24' }
+        ],
+        tags: ['AI', 'Real-time', 'Platform'],
+        stats: { likes: 127, views: 2400 },
+        cta: 'Explore Evolution',
+        links: [
+            { label: 'GitHub', url: 'https://github.com/Iszy-Dzire', icon: 'fab fa-github' }
+        ],
+        screenshots: [
+            { src: 'images/projects/evolving-web-1.svg', alt: 'Evolving Web Platform rule editor' },
+            { src: 'images/projects/evolving-web-2.svg', alt: 'Evolving Web Platform live layout changes' }
+        ]
+    },
+    {
+        id: 'smart-layout',
+        title: 'Smart Layout Engine',
+        icon: '🧩',
+        description: 'Intelligent layout system that learns from user clicks and scroll behavior to optimize content placement.',
+        longDescription: 'Smart Layout Engine ranks every block on a page by how much attention it earns and reflows the grid so the most useful content surfaces first. Transitions are animated so nothing jumps under the reader, and layouts are versioned so any arrangement can be compared against the original.',
+        features: ['Machine Learning', 'Dynamic', 'Optimized'],
+        techStack: ['TypeScript', 'CSS Grid', 'FLIP Animations', 'Web Workers'],
+        metrics: [
+            { label: 'Scroll depth', value: '+27%' },
+            { label: 'Layout shifts', value: '0.01 CLS' },
+            { label: 'Sites using it', value: '9' }
+        ],
+        tags: ['Layout', 'Machine Learning', 'Performance'],
+        stats: { likes: 89, views: 1800 },
+        cta: 'View Engine',
+        links: [
+            { label: 'GitHub', url: 'https://github.com/Iszy-Dzire', icon: 'fab fa-github' }
+        ],
+        screenshots: [
+            { src: 'images/projects/smart-layout-1.svg', alt: 'Smart Layout Engine attention map' },
+            { src: 'images/projects/smart-layout-2.svg', alt: 'Smart Layout Engine reordered grid' }
+        ]
+    },
+    {
+        id: 'adaptive-ui',
+        title: 'Adaptive UI Framework',
+        icon: '🎨',
+        description: 'A comprehensive framework for building interfaces that self-optimize based on user interaction patterns.',
+        longDescription: 'Adaptive UI Framework packages the ideas behind this portfolio into reusable components: trackers, declarative evolution rules, undoable DOM changes and privacy controls. Teams describe how an interface may adapt, and the framework handles measurement, experiments and rollback.',
+        features: ['Framework', 'Self-Learning', 'Scalable'],
+        techStack: ['JavaScript', 'Web Components', 'JSON Rules', 'A/B Testing'],
+        metrics: [
+            { label: 'Components', value: '40+' },
+            { label: 'Bundle size', value: '12 KB' },
+            { label: 'Teams onboard', value: '6' }
+        ],
+        tags: ['Framework', 'AI', 'Components'],
+        stats: { likes: 156, views: 3100 },
+        cta: 'Discover Framework',
+        links: [
+            { label: 'GitHub', url: 'https://github.com/Iszy-Dzire', icon: 'fab fa-github' }
+        ],
+        screenshots: [
+            { src: 'images/projects/adaptive-ui-1.svg', alt: 'Adaptive UI Framework component gallery' },
+            { src: 'images/projects/adaptive-ui-2.svg', alt: 'Adaptive UI Framework experiment results' }
+        ]
+    }
+];
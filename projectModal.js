@@ -0,0 +1,243 @@
+// Project Modal Module
+// Accessible project detail dialog, deep-linkable as #project/<id>.
+// Time spent in the modal and gallery navigation are tracked.
+import { PROJECT_DATA } from './projectData.js';
+import { escapeHTML } from './utils.js';
+
+export class ProjectModal {
+    constructor(interactionTracker, projects = PROJECT_DATA) {
+        this.tracker = interactionTracker;
+        this.projects = projects;
+        this.modal = document.getElementById('projectModal');
+        this.current = null;
+        this.openedAt = 0;
+        this.slide = 0;
+        this.returnFocus = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.modal) return;
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal || e.target.closest('[data-modal-action="close"]')) {
+                this.close();
+            }
+            const step = e.target.closest('[data-gallery-step]')?.dataset.galleryStep;
+            if (step) {
+                this.showSlide(this.slide + Number(step));
+            }
+            const dot = e.target.closest('[data-gallery-index]')?.dataset.galleryIndex;
+            if (dot !== undefined) {
+                this.showSlide(Number(dot));
+            }
+        });
+
+        this.modal.addEventListener('keydown', (e) => this.handleKeydown(e));
+        window.addEventListener('hashchange', () => this.route());
+        this.route();
+    }
+
+    getProject(projectId) {
+        return this.projects.find(project => project.id === projectId) || null;
+    }
+
+    getHashProjectId() {
+        const match = window.location.hash.match(/^#project\/([\w-]+)$/);
+        return match ? match[1] : null;
+    }
+
+    route() {
+        const projectId = this.getHashProjectId();
+        if (projectId && projectId !== this.current?.id) {
+            this.open(projectId);
+        } else if (!projectId && this.current) {
+            this.close();
+        }
+    }
+
+    // Opening goes through the URL so every open state can be linked to
+    show(projectId) {
+        if (this.getHashProjectId() === projectId) {
+            this.open(projectId);
+        } else {
+            window.location.hash = `project/${projectId}`;
+        }
+    }
+
+    open(projectId) {
+        const project = this.getProject(projectId);
+        if (!project) {
+            console.warn(`Unknown project "${projectId}"`);
+            return false;
+        }
+
+        if (this.current) {
+            this.trackClose();
+        } else {
+            this.returnFocus = document.activeElement;
+        }
+
+        this.current = project;
+        this.openedAt = Date.now();
+        this.slide = 0;
+        this.render(project);
+
+        this.modal.classList.add('show');
+        this.modal.setAttribute('aria-hidden', 'false');
+        document.body.classList.add('modal-open');
+        this.getFocusable()[0]?.focus();
+
+        this.tracker.trackInteraction('project_modal_open', { project: project.id });
+        return true;
+    }
+
+    close() {
+        if (!this.current) return;
+
+        this.trackClose();
+        this.current = null;
+        this.modal.classList.remove('show');
+        this.modal.setAttribute('aria-hidden', 'true');
+        document.body.classList.remove('modal-open');
+
+        if (this.getHashProjectId()) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+        this.returnFocus?.focus?.();
+        this.returnFocus = null;
+    }
+
+    trackClose() {
+        this.tracker.trackInteraction('project_modal_close', {
+            project: this.current.id,
+            duration: Date.now() - this.openedAt
+        });
+        this.tracker.saveData();
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+            if (e.target.closest('.project-gallery')) {
+                this.showSlide(this.slide + (e.key === 'ArrowRight' ? 1 : -1));
+            }
+            return;
+        }
+
+        // Keep focus inside the dialog
+        if (e.key === 'Tab') {
+            const focusable = this.getFocusable();
+            if (!focusable.length) return;
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    }
+
+    getFocusable() {
+        return [...this.modal.querySelectorAll('a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])')]
+            .filter(element => !element.hidden);
+    }
+
+    showSlide(index) {
+        const screenshots = this.current?.screenshots || [];
+        if (!screenshots.length) return;
+
+        const previous = this.slide;
+        this.slide = (index + screenshots.length) % screenshots.length;
+
+        this.modal.querySelectorAll('.gallery-slide').forEach((slide, i) => {
+            slide.hidden = i !== this.slide;
+        });
+        this.modal.querySelectorAll('[data-gallery-index]').forEach((dot, i) => {
+            dot.classList.toggle('active', i === this.slide);
+            dot.setAttribute('aria-current', i === this.slide ? 'true' : 'false');
+        });
+
+        if (previous !== this.slide) {
+            this.tracker.trackInteraction('project_gallery', {
+                project: this.current.id,
+                from: previous,
+                to: this.slide
+            });
+        }
+    }
+
+    render(project) {
+        const content = this.modal.querySelector('.modal-content');
+        const screenshots = project.screenshots || [];
+
+        content.innerHTML = `
+            <div class="modal-header">
+                <div class="project-icon">${escapeHTML(project.icon)}</div>
+                <h2 id="projectModalTitle">${escapeHTML(project.title)}</h2>
+                <button class="notice-close" data-modal-action="close" aria-label="Close project details">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            ${screenshots.length ? `
+                <div class="project-gallery" tabindex="0" aria-roledescription="carousel" aria-label="Screenshots">
+                    ${screenshots.map((shot, i) => `
+                        <figure class="gallery-slide" ${i ? 'hidden' : ''}>
+                            <img src="${escapeHTML(shot.src)}" alt="${escapeHTML(shot.alt)}" loading="lazy">
+                        </figure>
+                    `).join('')}
+                    ${screenshots.length > 1 ? `
+                        <button class="gallery-nav prev" data-gallery-step="-1" aria-label="Previous screenshot">
+                            <i class="fas fa-chevron-left"></i>
+                        </button>
+                        <button class="gallery-nav next" data-gallery-step="1" aria-label="Next screenshot">
+                            <i class="fas fa-chevron-right"></i>
+                        </button>
+                        <div class="gallery-dots">
+                            ${screenshots.map((shot, i) => `
+                                <button class="gallery-dot ${i ? '' : 'active'}" data-gallery-index="${i}"
+                                    aria-label="Screenshot ${i + 1}" aria-current="${i ? 'false' : 'true'}"></button>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+            ` : ''}
+            <p class="modal-description">${escapeHTML(project.longDescription || project.description)}</p>
+            ${project.metrics?.length ? `
+                <div class="modal-metrics">
+                    ${project.metrics.map(metric => `
+                        <div class="profile-stat">
+                            <strong>${escapeHTML(metric.value)}</strong>
+                            <span>${escapeHTML(metric.label)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${project.techStack?.length ? `
+                <h3>Tech stack</h3>
+                <div class="project-features">
+                    ${project.techStack.map(tech => `<span class="feature-tag">${escapeHTML(tech)}</span>`).join('')}
+                </div>
+            ` : ''}
+            ${project.links?.length ? `
+                <div class="modal-links">
+                    ${project.links.map(link => `
+                        <a class="btn btn-secondary" href="${escapeHTML(link.url)}" target="_blank" rel="noopener">
+                            <i class="${escapeHTML(link.icon || 'fas fa-external-link-alt')}"></i>
+                            <span>${escapeHTML(link.label)}</span>
+                        </a>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    }
+}
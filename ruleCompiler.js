@@ -0,0 +1,381 @@
+// Declarative Rule Compiler Module
+// Turns a JSON rules document into evolution rules the engine can run.
+//
+// A document looks like:
+// {
+//     "version": 1,
+//     "rules": [
+//         {
+//             "name": "projects_priority",
+//             "description": "Move projects up when they interest you more than the about section",
+//             "when": "clicks.projects > clicks.about + 2 and timeOnSections.projects > timeOnSections.about",
+//             "action": "moveProjectsUp",
+//             "cooldown": 30000,
+//             "signals": ["clicks", "timeOnSections"],
+//             "experiment": { "holdout": 0.5 }
+//         }
+//     ]
+// }
+//
+// Conditions support numbers, 'strings', true/false, tracker paths
+// (clicks.projects), + - * /, comparisons (> >= < <= == !=),
+// and/or/not (also && || !), parentheses and calls to tracker
+// functions such as getEngagementScore(). Paths are lifetime totals unless
+// prefixed with session. (current session) or recent. (last few days).
+//
+// "experiment" is optional; when present the rule only applies to the
+// treatment arm and "holdout" is the share of visitors kept as control.
+//
+// "signals" lists the data the rule depends on, as paths (clicks or
+// clicks.projects) or function calls (getEngagementScore()). The engine only
+// re-evaluates a rule when one of them changes. When omitted, the paths and
+// functions used in "when" are taken.
+export class RuleValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid evolution rules:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'RuleValidationError';
+        this.errors = errors;
+    }
+}
+
+export class RuleCompiler {
+    constructor(options = {}) {
+        // Shape used to check that referenced paths exist
+        this.schema = options.schema || {};
+        // Names of actions rules are allowed to trigger
+        this.actions = options.actions || [];
+        // Functions conditions may call, e.g. getEngagementScore()
+        this.functions = options.functions || {};
+    }
+
+    compile(source) {
+        const doc = typeof source === 'string' ? this.parseJSON(source) : source;
+        const errors = [];
+
+        if (!doc || typeof doc !== 'object' || !Array.isArray(doc.rules)) {
+            throw new RuleValidationError(['Rules document must be an object with a "rules" array']);
+        }
+
+        const seen = new Set();
+        const rules = doc.rules.map((def, index) => {
+            const label = def && def.name ? `Rule "${def.name}"` : `Rule #${index + 1}`;
+            const ruleErrors = this.validateDefinition(def, label, seen);
+            let ast = null;
+
+            if (def && typeof def.when === 'string') {
+                try {
+                    ast = this.parse(def.when);
+                    this.validateExpression(ast, label, ruleErrors);
+                } catch (e) {
+                    ruleErrors.push(`${label}: ${e.message}`);
+                }
+            }
+
+            errors.push(...ruleErrors);
+            if (ruleErrors.length) return null;
+
+            seen.add(def.name);
+            return {
+                name: def.name,
+                when: def.when,
+                ast,
+                action: def.action,
+                cooldown: def.cooldown || 0,
+                signals: def.signals || this.collectDependencies(ast),
+                experiment: def.experiment || null,
+                description: def.description || ''
+            };
+        });
+
+        if (errors.length) {
+            throw new RuleValidationError(errors);
+        }
+
+        return rules;
+    }
+
+    parseJSON(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new RuleValidationError([`Rules document is not valid JSON: ${e.message}`]);
+        }
+    }
+
+    validateDefinition(def, label, seen) {
+        const errors = [];
+
+        if (!def || typeof def !== 'object') {
+            return [`${label}: must be an object`];
+        }
+        if (typeof def.name !== 'string' || !def.name) {
+            errors.push(`${label}: "name" is required`);
+        } else if (seen.has(def.name)) {
+            errors.push(`${label}: duplicate rule name`);
+        }
+        if (typeof def.when !== 'string' || !def.when.trim()) {
+            errors.push(`${label}: "when" must be a non-empty condition string`);
+        }
+        if (!this.actions.includes(def.action)) {
+            errors.push(`${label}: unknown action "${def.action}" (expected one of ${this.actions.join(', ')})`);
+        }
+        if (def.cooldown !== undefined &&
+            (typeof def.cooldown !== 'number' || def.cooldown < 0 || !isFinite(def.cooldown))) {
+            errors.push(`${label}: "cooldown" must be a non-negative number of milliseconds`);
+        }
+        if (def.signals !== undefined) {
+            if (!Array.isArray(def.signals) || !def.signals.length) {
+                errors.push(`${label}: "signals" must be a non-empty array`);
+            } else {
+                def.signals.filter(signal => !this.isKnownSignal(signal)).forEach(signal => {
+                    errors.push(`${label}: unknown signal "${signal}"`);
+                });
+            }
+        }
+        if (def.description !== undefined && typeof def.description !== 'string') {
+            errors.push(`${label}: "description" must be a string`);
+        }
+        if (def.experiment !== undefined) {
+            const holdout = def.experiment && def.experiment.holdout;
+            if (!def.experiment || typeof def.experiment !== 'object') {
+                errors.push(`${label}: "experiment" must be an object`);
+            } else if (holdout !== undefined && (typeof holdout !== 'number' || holdout <= 0 || holdout >= 1)) {
+                errors.push(`${label}: "experiment.holdout" must be a fraction between 0 and 1`);
+            }
+        }
+
+        return errors;
+    }
+
+    validateExpression(ast, label, errors) {
+        this.walk(ast, node => {
+            if (node.type === 'path' && this.resolvePath(this.schema, node.path) === undefined) {
+                errors.push(`${label}: unknown path "${node.path}"`);
+            }
+            if (node.type === 'call' && typeof this.functions[node.name] !== 'function') {
+                errors.push(`${label}: unknown function "${node.name}()"`);
+            }
+        });
+    }
+
+    walk(node, visit) {
+        visit(node);
+        (node.args || []).forEach(child => this.walk(child, visit));
+    }
+
+    // Paths a condition reads from, useful for explaining why a rule fired
+    collectPaths(ast) {
+        const paths = [];
+        this.walk(ast, node => {
+            if (node.type === 'path' && !paths.includes(node.path)) {
+                paths.push(node.path);
+            }
+        });
+        return paths;
+    }
+
+    isKnownSignal(signal) {
+        if (typeof signal !== 'string') return false;
+        const call = signal.match(/^(\w+)\(\)$/);
+        return call
+            ? typeof this.functions[call[1]] === 'function'
+            : this.resolvePath(this.schema, signal) !== undefined;
+    }
+
+    // Paths and function calls a condition depends on, e.g. ["clicks.projects", "getEngagementScore()"]
+    collectDependencies(ast) {
+        const dependencies = this.collectPaths(ast);
+        this.walk(ast, node => {
+            if (node.type === 'call' && !dependencies.includes(`${node.name}()`)) {
+                dependencies.push(`${node.name}()`);
+            }
+        });
+        return dependencies;
+    }
+
+    // Paths and function calls a condition reads, with their current values
+    collectSignals(ast, data) {
+        const signals = [];
+        this.walk(ast, node => {
+            const signal = node.type === 'path' ? node.path : node.type === 'call' ? `${node.name}()` : null;
+            if (signal && !signals.some(s => s.signal === signal)) {
+                signals.push({ signal, value: this.evaluate(node, data) });
+            }
+        });
+        return signals;
+    }
+
+    resolvePath(data, path) {
+        return path.split('.').reduce((value, key) =>
+            value !== null && value !== undefined ? value[key] : undefined, data);
+    }
+
+    evaluate(node, data) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'path': {
+                const value = this.resolvePath(data, node.path);
+                return value === undefined ? 0 : value;
+            }
+            case 'call':
+                return this.functions[node.name](data);
+            case 'not':
+                return !this.evaluate(node.args[0], data);
+            case 'and':
+                return Boolean(this.evaluate(node.args[0], data) && this.evaluate(node.args[1], data));
+            case 'or':
+                return Boolean(this.evaluate(node.args[0], data) || this.evaluate(node.args[1], data));
+            default: {
+                const left = this.evaluate(node.args[0], data);
+                const right = this.evaluate(node.args[1], data);
+                return RuleCompiler.operators[node.type](left, right);
+            }
+        }
+    }
+
+    // Recursive descent parser over the token stream
+    parse(text) {
+        const tokens = this.tokenize(text);
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const accept = (...values) => {
+            const token = tokens[pos];
+            if (token && token.kind !== 'string' && values.includes(token.value)) {
+                pos++;
+                return token.value;
+            }
+            return null;
+        };
+        const expect = (value) => {
+            if (!accept(value)) {
+                const token = peek();
+                throw new Error(`expected "${value}" but found ${token ? `"${token.value}"` : 'end of condition'}`);
+            }
+        };
+
+        const parseOr = () => {
+            let node = parseAnd();
+            while (accept('or', '||')) {
+                node = { type: 'or', args: [node, parseAnd()] };
+            }
+            return node;
+        };
+
+        const parseAnd = () => {
+            let node = parseNot();
+            while (accept('and', '&&')) {
+                node = { type: 'and', args: [node, parseNot()] };
+            }
+            return node;
+        };
+
+        const parseNot = () => {
+            if (accept('not', '!')) {
+                return { type: 'not', args: [parseNot()] };
+            }
+            return parseComparison();
+        };
+
+        const parseComparison = () => {
+            const node = parseAdditive();
+            const op = accept('>', '>=', '<', '<=', '==', '!=');
+            return op ? { type: op, args: [node, parseAdditive()] } : node;
+        };
+
+        const parseAdditive = () => {
+            let node = parseTerm();
+            let op;
+            while ((op = accept('+', '-'))) {
+                node = { type: op, args: [node, parseTerm()] };
+            }
+            return node;
+        };
+
+        const parseTerm = () => {
+            let node = parsePrimary();
+            let op;
+            while ((op = accept('*', '/'))) {
+                node = { type: op, args: [node, parsePrimary()] };
+            }
+            return node;
+        };
+
+        const parsePrimary = () => {
+            const token = peek();
+            if (!token) {
+                throw new Error('unexpected end of condition');
+            }
+            pos++;
+
+            if (token.kind === 'number' || token.kind === 'string') {
+                return { type: 'literal', value: token.value };
+            }
+            if (token.value === '(') {
+                const node = parseOr();
+                expect(')');
+                return node;
+            }
+            if (token.kind === 'identifier') {
+                if (token.value === 'true' || token.value === 'false') {
+                    return { type: 'literal', value: token.value === 'true' };
+                }
+                if (accept('(')) {
+                    expect(')');
+                    return { type: 'call', name: token.value };
+                }
+                return { type: 'path', path: token.value };
+            }
+            throw new Error(`unexpected "${token.value}"`);
+        };
+
+        const ast = parseOr();
+        if (pos < tokens.length) {
+            throw new Error(`unexpected "${tokens[pos].value}"`);
+        }
+        return ast;
+    }
+
+    tokenize(text) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+(?:\.\d+)?)|'([^']*)'|"([^"]*)"|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)|(>=|<=|==|!=|&&|\|\||[-+*/<>()!]))/y;
+        let match;
+
+        pattern.lastIndex = 0;
+        while (pattern.lastIndex < text.length) {
+            if (/^\s*$/.test(text.slice(pattern.lastIndex))) break;
+
+            const start = pattern.lastIndex;
+            match = pattern.exec(text);
+            if (!match) {
+                throw new Error(`unexpected character "${text.slice(start).trim()[0]}" at position ${start}`);
+            }
+
+            if (match[1] !== undefined) {
+                tokens.push({ kind: 'number', value: parseFloat(match[1]) });
+            } else if (match[2] !== undefined || match[3] !== undefined) {
+                tokens.push({ kind: 'string', value: match[2] !== undefined ? match[2] : match[3] });
+            } else if (match[4] !== undefined) {
+                tokens.push({ kind: 'identifier', value: match[4] });
+            } else {
+                tokens.push({ kind: 'operator', value: match[5] });
+            }
+        }
+
+        return tokens;
+    }
+}
+
+RuleCompiler.operators = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => (b === 0 ? 0 : a / b)
+};
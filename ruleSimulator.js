@@ -0,0 +1,189 @@
+// Rule Simulator Module
+// Runs evolution rules over a timeline of tracker metrics instead of a live
+// visitor and reports, in order, the evolutions that would apply and the ones
+// held back by cooldowns, by already being active or by the visitor having
+// undone them. It touches no DOM, so it runs headlessly in Node as well
+// (tools/simulateRules.js).
+//
+// A timeline is a list of steps:
+//   time     ms timestamp, or any increasing axis in ms
+//   metrics  tracker data shaped like getMetrics(); missing paths count as 0
+//   calls    values of functions conditions call, e.g. { "getEngagementScore()": 40 }
+//   visit    true if the step starts a new page view: active evolutions end,
+//            except replayable ones, which the engine restores on load
+//   dismiss  names of rules the visitor undid at this step
+import { RuleCompiler } from './ruleCompiler.js';
+
+export class RuleSimulator {
+    constructor(rules, options = {}) {
+        this.isReplayable = options.isReplayable || (() => true);
+        // 'control' holds an experiment's rule back, as for visitors in that arm
+        this.getArm = options.getArm || (() => 'treatment');
+        this.fallbacks = options.functions || {};
+        this.functions = {};
+        this.missing = new Set();
+        this.step = null;
+
+        // Paths aren't checked: a synthetic timeline only needs the ones its rules read
+        this.compiler = new RuleCompiler({
+            schema: RuleSimulator.anyPath,
+            actions: options.actions,
+            functions: this.functions
+        });
+        this.rules = Array.isArray(rules) ? rules : this.compileDocument(rules);
+        this.rules.forEach(rule => this.registerCalls(rule.ast));
+    }
+
+    compileDocument(source) {
+        const doc = typeof source === 'string' ? this.compiler.parseJSON(source) : source;
+        const definitions = (doc && Array.isArray(doc.rules)) ? doc.rules : [];
+
+        // Without the page there's no list of actions; accept the ones named
+        if (!this.compiler.actions.length) {
+            this.compiler.actions = definitions.map(def => def && def.action).filter(Boolean);
+        }
+        definitions.forEach(def => {
+            try {
+                this.registerCalls(this.compiler.parse(def.when));
+            } catch (e) {
+                // compile() reports it
+            }
+        });
+        return this.compiler.compile(doc);
+    }
+
+    registerCalls(ast) {
+        this.compiler.walk(ast, node => {
+            if (node.type === 'call') {
+                this.functions[node.name] = (data) => this.call(node.name, data);
+            }
+        });
+    }
+
+    // Value of a function call at the current step: from the step's calls,
+    // else computed by options.functions, else 0 (and reported as missing)
+    call(name, data) {
+        const calls = this.step.calls || {};
+        if (calls[`${name}()`] !== undefined) return calls[`${name}()`];
+        if (typeof this.fallbacks[name] === 'function') return this.fallbacks[name](data, this.step);
+
+        this.missing.add(`${name}()`);
+        return 0;
+    }
+
+    // Returns { applied, events, missing, state }. events holds each change in a
+    // rule's status, so a rule waiting out its cooldown is reported once.
+    simulate(timeline) {
+        const lastApplied = new Map();
+        const active = new Set();
+        const dismissed = new Set();
+        const statuses = new Map();
+        const events = [];
+        this.missing.clear();
+
+        [...timeline].sort((a, b) => a.time - b.time).forEach(step => {
+            this.step = step;
+            const data = step.metrics || {};
+
+            if (step.visit) {
+                active.forEach(name => {
+                    const rule = this.rules.find(r => r.name === name);
+                    if (!rule || !this.isReplayable(rule.action)) active.delete(name);
+                });
+            }
+
+            (step.dismiss || []).forEach(name => {
+                active.delete(name);
+                dismissed.add(name);
+                statuses.set(name, 'dismissed');
+                events.push({ time: step.time, rule: name, status: 'undone' });
+            });
+
+            this.rules.forEach(rule => {
+                const status = RuleSimulator.ruleStatus({
+                    dismissed: dismissed.has(rule.name),
+                    active: active.has(rule.name),
+                    matched: Boolean(this.compiler.evaluate(rule.ast, data)),
+                    cooldownPassed: !lastApplied.has(rule.name) || step.time - lastApplied.get(rule.name) > rule.cooldown,
+                    heldOut: Boolean(rule.experiment) && this.getArm(rule) === 'control'
+                });
+
+                if (status === 'no_match') {
+                    statuses.set(rule.name, status);
+                    return;
+                }
+                if (status === 'apply') {
+                    lastApplied.set(rule.name, step.time);
+                    active.add(rule.name);
+                } else if (statuses.get(rule.name) === status) {
+                    return;
+                }
+                statuses.set(rule.name, status);
+
+                const event = {
+                    time: step.time,
+                    rule: rule.name,
+                    action: rule.action,
+                    status,
+                    signals: this.compiler.collectSignals(rule.ast, data)
+                };
+                if (status === 'cooldown') {
+                    event.cooldownRemaining = lastApplied.get(rule.name) + rule.cooldown - step.time;
+                }
+                events.push(event);
+            });
+        });
+        this.step = null;
+
+        return {
+            applied: events.filter(event => event.status === 'apply'),
+            events,
+            missing: [...this.missing],
+            state: {
+                lastAppliedTimes: Object.fromEntries(lastApplied),
+                active: [...active],
+                dismissed: [...dismissed]
+            }
+        };
+    }
+}
+
+// Why a rule does or doesn't apply, in the order EvolutionEngine checks it:
+// apply, dismissed, active, no_match, cooldown or held_out (experiment
+// control arm). Shared with the engine so simulations match the page.
+RuleSimulator.ruleStatus = ({ dismissed, active, matched, cooldownPassed, heldOut = false }) => {
+    if (dismissed) return 'dismissed';
+    if (active) return 'active';
+    if (!matched) return 'no_match';
+    if (!cooldownPassed) return 'cooldown';
+    if (heldOut) return 'held_out';
+    return 'apply';
+};
+
+// Resolves every path, so conditions compile against partial metrics
+RuleSimulator.anyPath = new Proxy({}, { get: () => RuleSimulator.anyPath });
+
+// A timeline from the evolution history, whose entries hold the metrics at
+// the time each was logged. Function values come from the logged signals.
+RuleSimulator.timelineFromHistory = (history) => {
+    let visits = null;
+    return history
+        .filter(event => event.data)
+        .map(event => {
+            const calls = { 'getEngagementScore()': event.engagementScore };
+            (event.signals || [])
+                .filter(({ signal }) => signal.endsWith('()'))
+                .forEach(({ signal, value }) => {
+                    calls[signal] = value;
+                });
+
+            const step = {
+                time: new Date(event.timestamp).getTime(),
+                metrics: event.data,
+                calls,
+                visit: visits !== null && event.data.visitCount > visits
+            };
+            visits = event.data.visitCount;
+            return step;
+        });
+};
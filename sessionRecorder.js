@@ -0,0 +1,213 @@
+// Session Recorder Module
+// Records what happens on each page view as a timeline: viewport size,
+// scroll positions, section transitions, clicks, hovers over interactive
+// elements, conversions and evolutions with the signals behind them.
+// Recordings are kept per page view, the last few at a time, and only with
+// analytics consent. SessionReplay plays them back.
+export class SessionRecorder {
+    constructor(interactionTracker, evolutionEngine) {
+        this.tracker = interactionTracker;
+        this.engine = evolutionEngine;
+        this.storage = interactionTracker.storage;
+        this.consent = interactionTracker.consent;
+        this.recordings = [];
+        this.recording = null;
+        this.paused = false;
+        this.dirty = false;
+        this.lastScrollAt = 0;
+        this.scrollTimer = null;
+        this.resizeTimer = null;
+        this.hovered = null;
+        this.ready = this.loadRecordings().then(() => {
+            this.init();
+            return this;
+        });
+    }
+
+    init() {
+        this.start();
+
+        window.addEventListener('scroll', () => this.recordScroll(), { passive: true });
+        window.addEventListener('resize', () => {
+            clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => this.record('viewport', this.getViewport()), 250);
+        });
+
+        // Capture phase, so clicks that stop propagation are still seen
+        document.addEventListener('click', (e) => {
+            this.record('click', { x: e.pageX, y: e.pageY, target: this.describe(e.target) });
+        }, true);
+
+        document.addEventListener('pointerover', (e) => {
+            const element = e.target.closest?.(SessionRecorder.hoverTargets);
+            if (!element || element === this.hovered) return;
+            this.hovered = element;
+            this.record('hover', { x: e.pageX, y: e.pageY, target: this.describe(element) });
+        });
+
+        this.tracker.on('section_change', (e) => {
+            if (!e.remote) this.record('section', { section: e.section, previous: e.previous });
+        });
+        this.tracker.onConversion((conversion, metadata) => this.record('conversion', { conversion, metadata }));
+        this.engine.onEvolution(({ type, remote, ...change }) => {
+            if (!remote) this.record('evolution', { change: type, ...change });
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveRecordings();
+        });
+        window.addEventListener('pagehide', () => this.saveRecordings());
+        setInterval(() => this.saveRecordings(), 30000);
+
+        this.consent.onChange(({ categories, granted }) => {
+            if (categories.includes('analytics') && !granted) this.deleteRecordings();
+        });
+    }
+
+    // One recording per page view, tagged with the tracker session it belongs to
+    start() {
+        const now = Date.now();
+        this.recording = {
+            id: this.tracker.sync.tabId,
+            session: this.tracker.getData().session?.id || null,
+            startedAt: now,
+            path: window.location.pathname + window.location.hash,
+            // Evolutions already on the page when the recording started
+            evolutions: [...this.engine.currentEvolutions],
+            events: []
+        };
+        this.record('viewport', this.getViewport());
+        this.record('scroll', { x: window.scrollX, y: window.scrollY });
+        this.record('section', { section: this.tracker.currentSection, previous: null });
+    }
+
+    record(type, detail = {}) {
+        if (this.paused || !this.recording || !this.consent.hasConsent('analytics')) return;
+
+        const events = this.recording.events;
+        events.push({ time: Date.now(), type, ...detail });
+        // Same limit as the interaction log, so the backend can hold it
+        if (events.length > this.storage.maxInteractions) {
+            events.splice(0, events.length - this.storage.maxInteractions);
+        }
+
+        if (!this.recordings.includes(this.recording)) {
+            this.recordings.push(this.recording);
+            this.recordings = this.recordings.slice(-SessionRecorder.MAX_RECORDINGS);
+        }
+        this.dirty = true;
+    }
+
+    // At most one scroll event per interval, always including where it stopped
+    recordScroll() {
+        clearTimeout(this.scrollTimer);
+        const now = Date.now();
+        if (now - this.lastScrollAt >= SessionRecorder.SCROLL_INTERVAL) {
+            this.lastScrollAt = now;
+            this.record('scroll', { x: window.scrollX, y: window.scrollY });
+        } else {
+            this.scrollTimer = setTimeout(() => this.recordScroll(), SessionRecorder.SCROLL_INTERVAL);
+        }
+    }
+
+    getViewport() {
+        return { width: window.innerWidth, height: window.innerHeight };
+    }
+
+    // Enough to find the element again on replay, and to name it in the timeline
+    describe(element) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+
+        const quote = (value) => `"${value.replace(/["\\]/g, '\\$&')}"`;
+        const card = element.closest('.project-card[data-project]');
+        let selector = null;
+        if (element.id) {
+            selector = `[id=${quote(element.id)}]`;
+        } else if (card) {
+            selector = `.project-card[data-project=${quote(card.dataset.project)}]`;
+        }
+
+        return {
+            tag: element.tagName.toLowerCase(),
+            selector,
+            text: (element.getAttribute('aria-label') || element.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 50)
+        };
+    }
+
+    // Pause while replaying, so the replay doesn't record itself
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    getRecordings() {
+        return this.recordings;
+    }
+
+    getRecording(id) {
+        return this.recordings.find(recording => recording.id === id) || null;
+    }
+
+    // Add recordings from elsewhere (an import); ones with the same id are replaced
+    addRecordings(recordings, { replace = false } = {}) {
+        const incoming = new Set(recordings.map(recording => recording.id));
+        const kept = replace ? [] : this.recordings.filter(recording => !incoming.has(recording.id));
+        this.recordings = [...kept, ...recordings]
+            .sort((a, b) => a.startedAt - b.startedAt)
+            .slice(-SessionRecorder.MAX_RECORDINGS);
+        if (this.recording && !this.recordings.includes(this.recording)) {
+            this.recordings.push(this.recording);
+        }
+        this.dirty = true;
+        return this.saveRecordings({ merge: !replace });
+    }
+
+    async loadRecordings() {
+        if (!this.consent.hasConsent('analytics')) return;
+
+        try {
+            this.recordings = (await this.storage.load('sessionRecordings')) || [];
+        } catch (e) {
+            console.warn('Could not load session recordings:', e);
+        }
+    }
+
+    // Other tabs save their own recordings under the same key, so merge with
+    // what is stored instead of overwriting it
+    async saveRecordings({ merge = true } = {}) {
+        if (!this.dirty || !this.consent.hasConsent('analytics')) return;
+        this.dirty = false;
+
+        try {
+            const ours = new Set(this.recordings.map(recording => recording.id));
+            const saved = (merge && (await this.storage.load('sessionRecordings')) || [])
+                .filter(recording => !ours.has(recording.id));
+            this.recordings = [...saved, ...this.recordings]
+                .sort((a, b) => a.startedAt - b.startedAt)
+                .slice(-SessionRecorder.MAX_RECORDINGS);
+            await this.storage.save('sessionRecordings', this.recordings);
+        } catch (e) {
+            console.warn('Could not save session recordings:', e);
+        }
+    }
+
+    async deleteRecordings() {
+        this.recordings = [];
+        if (this.recording) this.recording.events = [];
+        this.dirty = false;
+        try {
+            await this.storage.remove('sessionRecordings');
+        } catch (e) {
+            console.warn('Could not delete session recordings:', e);
+        }
+    }
+}
+
+SessionRecorder.MAX_RECORDINGS = 10;
+SessionRecorder.SCROLL_INTERVAL = 100;
+
+// Elements whose hovers are worth recording
+SessionRecorder.hoverTargets = 'a, button, input, select, textarea, .project-card, .skill-item';
@@ -0,0 +1,258 @@
+// Session Replay Module
+// Plays a SessionRecorder recording back over the live page: scrolls where
+// the visitor scrolled, shows their pointer, clicks and hovers, outlines the
+// section they were reading and explains each evolution with the signals
+// that triggered it. The timeline can be scrubbed and marks where evolutions
+// and conversions happened.
+import { escapeHTML } from './utils.js';
+
+export class SessionReplay {
+    constructor(sessionRecorder) {
+        this.recorder = sessionRecorder;
+        this.recording = null;
+        this.start = 0;
+        this.bar = null;
+        this.layer = null;
+        this.position = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.frame = null;
+        this.lastFrameAt = 0;
+        this.highlighted = [];
+        this.handleKeydown = (e) => {
+            if (e.key === 'Escape') this.close();
+            if (e.key === ' ' && e.target === document.body) {
+                e.preventDefault();
+                this.toggle();
+            }
+        };
+    }
+
+    isOpen() {
+        return Boolean(this.recording);
+    }
+
+    open(recording) {
+        this.close();
+        if (!recording || !recording.events.length) return;
+
+        this.recording = recording;
+        // Older events may have been trimmed, so time starts at the first one left
+        this.start = recording.events[0].time;
+        this.recorder.pause();
+        this.render();
+        document.addEventListener('keydown', this.handleKeydown);
+        this.seek(0);
+    }
+
+    close() {
+        if (!this.recording) return;
+
+        this.pause();
+        this.clearHighlights();
+        this.bar.remove();
+        this.layer.remove();
+        this.bar = null;
+        this.layer = null;
+        this.recording = null;
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.recorder.resume();
+    }
+
+    getDuration() {
+        const events = this.recording.events;
+        return Math.max(0, events[events.length - 1].time - this.start);
+    }
+
+    render() {
+        const duration = this.getDuration();
+
+        // Covers the whole document so pointer positions line up with the page
+        this.layer = document.createElement('div');
+        this.layer.className = 'replay-layer';
+        this.layer.style.height = `${document.documentElement.scrollHeight}px`;
+        this.layer.innerHTML = '<span class="replay-pointer"></span>';
+        document.body.appendChild(this.layer);
+
+        const markers = this.recording.events
+            .filter(event => event.type === 'evolution' || event.type === 'conversion')
+            .map(event => `
+                <button class="replay-marker ${event.type}" data-replay-seek="${event.time - this.start}"
+                    style="left: ${duration ? ((event.time - this.start) / duration) * 100 : 0}%"
+                    title="${escapeHTML(this.describe(event))}" aria-label="${escapeHTML(this.describe(event))}"></button>
+            `).join('');
+
+        this.bar = document.createElement('div');
+        this.bar.className = 'replay-bar';
+        this.bar.setAttribute('role', 'region');
+        this.bar.setAttribute('aria-label', 'Session replay');
+        this.bar.innerHTML = `
+            <button class="btn btn-secondary" data-replay-action="play" aria-label="Play">
+                <i class="fas fa-play"></i>
+            </button>
+            <div class="replay-timeline">
+                <div class="replay-markers">${markers}</div>
+                <input type="range" min="0" max="${duration}" step="50" value="0" aria-label="Replay position">
+            </div>
+            <span class="replay-time"></span>
+            <select data-replay-speed aria-label="Playback speed">
+                ${SessionReplay.speeds.map(speed => `<option value="${speed}"${speed === this.speed ? ' selected' : ''}>${speed}×</option>`).join('')}
+            </select>
+            <button class="notice-close" data-replay-action="close" aria-label="Close replay">
+                <i class="fas fa-times"></i>
+            </button>
+            <p class="replay-caption" aria-live="polite"></p>
+        `;
+        document.body.appendChild(this.bar);
+
+        this.bar.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-replay-action]')?.dataset.replayAction;
+            if (action === 'play') this.toggle();
+            if (action === 'close') this.close();
+
+            const seek = e.target.closest('[data-replay-seek]')?.dataset.replaySeek;
+            if (seek !== undefined) this.seek(Number(seek));
+        });
+        this.bar.querySelector('input[type="range"]').addEventListener('input', (e) => {
+            this.seek(Number(e.target.value));
+        });
+        this.bar.querySelector('[data-replay-speed]').addEventListener('change', (e) => {
+            this.speed = Number(e.target.value);
+        });
+    }
+
+    toggle() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    play() {
+        if (!this.getDuration()) return;
+        if (this.position >= this.getDuration()) this.seek(0);
+
+        this.playing = true;
+        this.lastFrameAt = performance.now();
+        this.updatePlayButton();
+
+        const tick = (now) => {
+            if (!this.playing) return;
+            let position = this.position + (now - this.lastFrameAt) * this.speed;
+            this.lastFrameAt = now;
+
+            // Skip long stretches where nothing happened
+            const next = this.recording.events.find(event => event.time - this.start > this.position);
+            if (next && next.time - this.start - position > SessionReplay.MAX_GAP) {
+                position = next.time - this.start - SessionReplay.MAX_GAP;
+            }
+
+            this.seek(position);
+            if (this.position >= this.getDuration()) {
+                this.pause();
+            } else {
+                this.frame = requestAnimationFrame(tick);
+            }
+        };
+        this.frame = requestAnimationFrame(tick);
+    }
+
+    pause() {
+        this.playing = false;
+        cancelAnimationFrame(this.frame);
+        this.updatePlayButton();
+    }
+
+    updatePlayButton() {
+        const button = this.bar?.querySelector('[data-replay-action="play"]');
+        if (!button) return;
+        button.setAttribute('aria-label', this.playing ? 'Pause' : 'Play');
+        button.innerHTML = `<i class="fas fa-${this.playing ? 'pause' : 'play'}"></i>`;
+    }
+
+    // Show the page as the visitor saw it `position` ms into the recording
+    seek(position) {
+        this.position = Math.min(Math.max(0, position), this.getDuration());
+        const time = this.start + this.position;
+        const past = this.recording.events.filter(event => event.time <= time);
+        const last = (...types) => [...past].reverse().find(event => types.includes(event.type));
+
+        const scroll = last('scroll');
+        if (scroll) window.scrollTo(scroll.x, scroll.y);
+
+        this.clearHighlights();
+        const section = last('section');
+        if (section) this.highlight(document.getElementById(section.section), 'replay-section');
+
+        const pointer = last('click', 'hover');
+        const dot = this.layer.querySelector('.replay-pointer');
+        dot.hidden = !pointer;
+        if (pointer) {
+            dot.style.transform = `translate(${pointer.x}px, ${pointer.y}px)`;
+            dot.classList.toggle('clicking', pointer.type === 'click' && time - pointer.time < 500);
+            if (pointer.target && pointer.target.selector) {
+                this.highlight(document.querySelector(pointer.target.selector), 'replay-target');
+            }
+        }
+
+        const viewport = last('viewport');
+        const latest = last('evolution', 'conversion', 'click', 'hover', 'section');
+        this.bar.querySelector('.replay-caption').textContent = [
+            viewport ? `${viewport.width}×${viewport.height}` : '',
+            latest ? this.describe(latest) : ''
+        ].filter(Boolean).join(' · ');
+
+        this.bar.querySelector('input[type="range"]').value = this.position;
+        this.bar.querySelector('.replay-time').textContent =
+            `${this.formatTime(this.position)} / ${this.formatTime(this.getDuration())}`;
+    }
+
+    highlight(element, className) {
+        if (!element) return;
+        element.classList.add(className);
+        this.highlighted.push([element, className]);
+    }
+
+    clearHighlights() {
+        this.highlighted.forEach(([element, className]) => element.classList.remove(className));
+        this.highlighted = [];
+    }
+
+    describe(event) {
+        const target = (event.target && (event.target.text || event.target.tag)) || 'the page';
+        switch (event.type) {
+            case 'evolution': {
+                if (event.change === 'undone') {
+                    return `Evolution "${event.rule}" undone`;
+                }
+                const signals = (event.signals || [])
+                    .map(({ signal, value }) => `${signal} = ${typeof value === 'number' ? Math.round(value * 100) / 100 : value}`);
+                return `Evolution "${event.rule}" fired because ${event.condition}${signals.length ? ` (${signals.join(', ')})` : ''}`;
+            }
+            case 'conversion':
+                return `Conversion: ${event.conversion}`;
+            case 'click':
+                return `Clicked ${target}`;
+            case 'hover':
+                return `Hovering ${target}`;
+            case 'section':
+                return `Reading ${event.section}`;
+            case 'scroll':
+                return `Scrolled to ${event.y}px`;
+            case 'viewport':
+                return `Viewport ${event.width}×${event.height}`;
+            default:
+                return event.type;
+        }
+    }
+
+    formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
+
+// Idle stretches longer than this are skipped during playback
+SessionReplay.MAX_GAP = 2000;
+SessionReplay.speeds = [1, 2, 4, 8];
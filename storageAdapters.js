@@ -0,0 +1,188 @@
+// Storage Adapters Module
+// Every adapter exposes the same async interface:
+//   load(key)        -> Promise<value | null>
+//   save(key, value) -> Promise
+//   remove(key)      -> Promise
+// plus `maxInteractions`, how long an interaction log it can comfortably hold.
+export class LocalStorageAdapter {
+    constructor(options = {}) {
+        this.type = 'localStorage';
+        this.maxInteractions = options.maxInteractions || 1000;
+    }
+
+    async load(key) {
+        const saved = localStorage.getItem(key);
+        if (!saved) return null;
+
+        try {
+            return JSON.parse(saved);
+        } catch (e) {
+            // Set the unreadable value aside so the next save doesn't destroy it
+            console.warn(`Saved "${key}" is not valid JSON, moved to "${key}:corrupt"`);
+            localStorage.setItem(`${key}:corrupt`, saved);
+            localStorage.removeItem(key);
+            return null;
+        }
+    }
+
+    async save(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+export class IndexedDBAdapter {
+    constructor(options = {}) {
+        this.type = 'indexedDB';
+        this.maxInteractions = options.maxInteractions || 50000;
+        this.dbName = options.dbName || 'portfolio';
+        this.storeName = 'records';
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async load(key) {
+        const value = await this.request('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async save(key, value) {
+        await this.request('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+}
+
+// Keeps a local copy (so loads still work) and ships saved records to an
+// endpoint in batches. Repeated saves of the same key before a flush are
+// coalesced, so each batch holds the latest value per key. Remote storage is
+// analytics: nothing is sent unless options.consent grants it.
+export class BeaconAdapter {
+    constructor(options = {}) {
+        if (!options.endpoint) {
+            throw new Error('BeaconAdapter requires an "endpoint"');
+        }
+
+        this.type = 'beacon';
+        this.endpoint = options.endpoint;
+        this.batchSize = options.batchSize || 20;
+        this.flushInterval = options.flushInterval || 15000;
+        this.local = options.local || new LocalStorageAdapter(options);
+        this.consent = options.consent || null;
+        this.maxInteractions = this.local.maxInteractions;
+        this.queue = new Map();
+        this.saveCount = 0;
+
+        this.timer = setInterval(() => this.flush(), this.flushInterval);
+        // Last chance to send before the page goes away
+        window.addEventListener('pagehide', () => this.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+    }
+
+    load(key) {
+        return this.local.load(key);
+    }
+
+    canSend() {
+        return Boolean(this.consent && this.consent.hasConsent('analytics'));
+    }
+
+    async save(key, value) {
+        await this.local.save(key, value);
+        if (!this.canSend()) return;
+
+        this.queue.set(key, { key, value, savedAt: Date.now() });
+        this.saveCount++;
+
+        if (this.saveCount >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    async remove(key) {
+        this.queue.delete(key);
+        await this.local.remove(key);
+    }
+
+    flush() {
+        // Consent may have been withdrawn since these were queued
+        if (!this.canSend()) this.queue.clear();
+        if (!this.queue.size) return false;
+
+        const batch = [...this.queue.values()];
+        this.queue.clear();
+        this.saveCount = 0;
+
+        // text/plain keeps sendBeacon free of a CORS preflight
+        const body = JSON.stringify({ sentAt: Date.now(), batch });
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'text/plain' }))) {
+            return true;
+        }
+
+        fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body,
+            keepalive: true
+        }).catch(e => {
+            console.warn('Could not send storage batch:', e);
+            // Put the records back unless newer values arrived meanwhile
+            batch.forEach(record => {
+                if (!this.queue.has(record.key)) this.queue.set(record.key, record);
+            });
+        });
+        return true;
+    }
+}
+
+export function createStorageAdapter(config = {}, consent = null) {
+    switch (config.type) {
+        case 'indexedDB':
+            if (window.indexedDB) {
+                return new IndexedDBAdapter(config);
+            }
+            console.warn('IndexedDB is not available, falling back to localStorage');
+            return new LocalStorageAdapter(config);
+        case 'beacon':
+            return new BeaconAdapter({
+                ...config,
+                consent,
+                local: config.local ? createStorageAdapter(config.local) : undefined
+            });
+        case 'localStorage':
+        case undefined:
+            return new LocalStorageAdapter(config);
+        default:
+            console.warn(`Unknown storage type "${config.type}", falling back to localStorage`);
+            return new LocalStorageAdapter(config);
+    }
+}
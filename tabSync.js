@@ -0,0 +1,137 @@
+// Tab Sync Module
+// Lets open tabs of the portfolio talk to each other. Messages go over a
+// BroadcastChannel, or through storage events where that isn't available.
+// One tab at a time holds a short lease in localStorage and acts as leader;
+// the lease is renewed while the tab lives and taken over when it lapses.
+import { createId } from './utils.js';
+
+export class TabSync {
+    constructor(name = 'portfolio-sync') {
+        this.name = name;
+        this.tabId = createId();
+        this.listeners = [];
+        this.leaderListeners = [];
+        this.leader = false;
+        this.channel = null;
+        this.heartbeat = null;
+        this.init();
+    }
+
+    init() {
+        if (typeof BroadcastChannel === 'function') {
+            this.channel = new BroadcastChannel(this.name);
+            this.channel.onmessage = (e) => this.receive(e.data);
+        }
+
+        window.addEventListener('storage', (e) => {
+            if (e.key === `${this.name}:message` && e.newValue && !this.channel) {
+                this.receive(this.parseMessage(e.newValue));
+            }
+            // Another tab gave up the lease; try to take over right away
+            if (e.key === `${this.name}:leader` && !e.newValue) {
+                this.renewLease();
+            }
+        });
+
+        // A tab that goes into the back/forward cache can come back later
+        window.addEventListener('pagehide', () => this.releaseLease());
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) this.renewLease();
+        });
+
+        this.renewLease();
+        this.heartbeat = setInterval(() => this.renewLease(), TabSync.LEASE_RENEW);
+    }
+
+    send(type, payload = {}) {
+        const message = { type, payload, from: this.tabId, nonce: Math.random() };
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                // The write alone fires the event in other tabs; removing it
+                // right away keeps payloads from lingering in storage
+                localStorage.setItem(`${this.name}:message`, JSON.stringify(message));
+                localStorage.removeItem(`${this.name}:message`);
+            }
+        } catch (e) {
+            console.warn('Could not reach other tabs:', e);
+        }
+    }
+
+    // Anything else may write under the key, so bad values are ignored
+    parseMessage(value) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            console.warn('Ignoring unreadable tab message:', e);
+            return null;
+        }
+    }
+
+    receive(message) {
+        if (!message || message.from === this.tabId) return;
+        this.listeners.forEach(listener => {
+            try {
+                listener(message.type, message.payload);
+            } catch (e) {
+                console.error(`Error handling "${message.type}" from another tab:`, e);
+            }
+        });
+    }
+
+    onMessage(listener) {
+        this.listeners.push(listener);
+    }
+
+    isLeader() {
+        return this.leader;
+    }
+
+    onLeaderChange(listener) {
+        this.leaderListeners.push(listener);
+    }
+
+    readLease() {
+        try {
+            return JSON.parse(localStorage.getItem(`${this.name}:leader`));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Take or keep the lease if it is ours or has lapsed, then check who holds it
+    renewLease() {
+        const lease = this.readLease();
+        const now = Date.now();
+
+        try {
+            if (!lease || lease.tab === this.tabId || lease.until < now) {
+                localStorage.setItem(`${this.name}:leader`, JSON.stringify({
+                    tab: this.tabId,
+                    until: now + TabSync.LEASE_DURATION
+                }));
+            }
+            this.setLeader(this.readLease()?.tab === this.tabId);
+        } catch (e) {
+            // Without storage there is nothing to coordinate with
+            this.setLeader(true);
+        }
+    }
+
+    releaseLease() {
+        if (this.readLease()?.tab === this.tabId) {
+            localStorage.removeItem(`${this.name}:leader`);
+        }
+        this.setLeader(false);
+    }
+
+    setLeader(leader) {
+        if (leader === this.leader) return;
+        this.leader = leader;
+        this.leaderListeners.forEach(listener => listener(leader));
+    }
+}
+
+TabSync.LEASE_DURATION = 5000;
+TabSync.LEASE_RENEW = 2000;
@@ -0,0 +1,52 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, teardownDOM, flush } from './helpers/dom.js';
+import { InteractionTracker } from '../interactionTracker.js';
+import { ContactForm } from '../contactForm.js';
+import { loadPortfolioConfig } from '../portfolioConfig.js';
+
+afterEach(() => teardownDOM());
+
+async function createForm(options) {
+    setupDOM(options);
+    const tracker = new InteractionTracker();
+    await tracker.ready;
+    const config = { ...loadPortfolioConfig().contact, endpoint: 'http://localhost/contact', minFillTime: 0 };
+    return { tracker, form: new ContactForm(tracker, config) };
+}
+
+function fillForm() {
+    document.getElementById('name').value = 'Ada';
+    document.getElementById('email').value = 'ada@example.com';
+    document.getElementById('subject').value = 'consulting';
+    document.getElementById('message').value = 'I would like to talk about a project.';
+}
+
+const queued = { id: 'queued-1', name: 'Ada', email: 'ada@example.com', subject: 'other', message: 'Sent while offline.', createdAt: '2024-01-01T00:00:00.000Z', attempts: 1 };
+
+test('a failed submission is tracked but not counted as a conversion', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => ({ ok: false, status: 400 }));
+    const { tracker, form } = await createForm();
+    const conversions = [];
+    tracker.onConversion(type => conversions.push(type));
+
+    fillForm();
+    assert.equal((await form.submit()).status, 'failed');
+    assert.deepEqual(conversions, []);
+    assert.equal(tracker.getData().interactions.at(-1).type, 'contact_submit_failed');
+});
+
+test('a message queued while the queue is being sent is kept', async (t) => {
+    let respond;
+    t.mock.method(globalThis, 'fetch', () => new Promise(resolve => {
+        respond = () => resolve({ ok: true, status: 200 });
+    }));
+    const { form } = await createForm({ storage: { contactQueue: [queued] } });
+
+    // The queue is flushing on load, with the request still out
+    form.enqueue({ ...queued, id: 'queued-2', attempts: 0 });
+    respond();
+    await flush();
+
+    assert.deepEqual(form.getQueue().map(submission => submission.id), ['queued-2']);
+});
@@ -0,0 +1,81 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, teardownDOM } from './helpers/dom.js';
+import { bootstrap } from '../main.js';
+
+afterEach(() => teardownDOM());
+mock.method(console, 'log', () => {});
+
+async function startApp(options) {
+    setupDOM(options);
+    const app = bootstrap();
+    await app.ready;
+    return app;
+}
+
+function ruleRow(name) {
+    return document.querySelector(`.debug-overlay [data-debug-rule="${name}"]`);
+}
+
+function field(row, name) {
+    return row.querySelector(`[data-debug-field="${name}"]`).textContent;
+}
+
+test('?debug opens the overlay and the shortcut toggles it', async () => {
+    const app = await startApp({ url: 'http://localhost/?debug' });
+    assert.equal(app.debugOverlay.isOpen(), true);
+
+    const shortcut = () => document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'D', ctrlKey: true, shiftKey: true }));
+    shortcut();
+    assert.equal(document.querySelector('.debug-overlay'), null);
+    shortcut();
+    assert.notEqual(document.querySelector('.debug-overlay'), null);
+});
+
+test('the overlay shows live counters and every rule', async () => {
+    const app = await startApp({ url: 'http://localhost/?debug' });
+    app.tracker.trackClick('cta');
+    app.debugOverlay.update();
+
+    const summary = document.querySelector('.debug-summary').textContent;
+    assert.match(summary, /Section\s*home/);
+    assert.match(summary, /Visits\s*1/);
+    assert.match(document.querySelector('.debug-counters').textContent, /cta\s*1\s*1/);
+
+    const rows = document.querySelectorAll('.debug-overlay [data-debug-rule]');
+    assert.equal(rows.length, app.evolutionEngine.evolutionRules.length);
+    assert.equal(field(ruleRow('cta_optimization'), 'status'), 'no match');
+    assert.match(field(ruleRow('cta_optimization'), 'signals'), /false · clicks\.cta = 1, clicks\.contact = 0/);
+});
+
+test('rules can be forced and reset from the overlay', async () => {
+    const app = await startApp({ url: 'http://localhost/?debug' });
+    const row = ruleRow('content_reveal');
+
+    row.querySelector('[data-debug-action="force"]').click();
+    assert.equal(app.evolutionEngine.currentEvolutions.has('content_reveal'), true);
+    assert.notEqual(document.querySelector('.evolution-content'), null);
+    assert.equal(field(row, 'status'), 'active');
+    assert.equal(row.classList.contains('active'), true);
+
+    row.querySelector('[data-debug-action="reset"]').click();
+    assert.equal(app.evolutionEngine.currentEvolutions.has('content_reveal'), false);
+    assert.equal(document.querySelector('.evolution-content'), null);
+    assert.equal(field(row, 'status'), 'no match');
+    assert.equal(field(row, 'cooldown'), '–');
+});
+
+test('clearing storage deletes stored data but keeps the consent decision', async (t) => {
+    const app = await startApp({ url: 'http://localhost/?debug' });
+    app.evolutionEngine.forceRule('content_reveal');
+    app.tracker.trackClick('cta');
+    await app.tracker.saveData();
+    // jsdom can't reload and reports it as an error
+    t.mock.method(console, 'error', () => {});
+
+    await app.debugOverlay.clearStorage();
+    assert.equal(localStorage.getItem('portfolioInteractionData'), null);
+    assert.equal(localStorage.getItem('evolutionState'), null);
+    assert.equal(localStorage.getItem('sessionRecordings'), null);
+    assert.notEqual(localStorage.getItem('portfolioConsent'), null);
+});
@@ -0,0 +1,358 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, teardownDOM, leavePage, flush } from './helpers/dom.js';
+import { InteractionTracker } from '../interactionTracker.js';
+import { ProjectCatalog } from '../projectCatalog.js';
+import { EvolutionEngine } from '../evolutionEngine.js';
+
+afterEach(() => teardownDOM());
+// Every evolution is logged to the console
+mock.method(console, 'log', () => {});
+
+// A page as main.js builds it, with `rules` in place of the page's own
+async function createPage({ rules = [], ...options } = {}) {
+    setupDOM(options);
+    document.getElementById('evolutionRules').textContent = JSON.stringify({ version: 1, rules });
+
+    const tracker = new InteractionTracker();
+    await tracker.ready;
+    const catalog = new ProjectCatalog(tracker);
+    tracker.observeProjectCards(catalog.getCards());
+    const engine = new EvolutionEngine(tracker);
+    await engine.ready;
+    return { tracker, catalog, engine };
+}
+
+function getRule(engine, name) {
+    return engine.evolutionRules.find(rule => rule.name === name);
+}
+
+// The page minus the evolution notice, which actions show but don't undo.
+// Emptied class and style attributes are left behind by undo and change nothing.
+function pageState() {
+    const page = document.documentElement.cloneNode(true);
+    page.querySelector('#evolutionNotice').remove();
+    return page.outerHTML.replace(/ (class|style)=""/g, '');
+}
+
+const ctaRule = { name: 'cta', when: 'clicks.cta > 1', action: 'optimizeCTA', cooldown: 45000 };
+const rewardRule = { name: 'reward', when: 'getEngagementScore() >= 0', action: 'showEngagementReward', cooldown: 60000 };
+
+test('a rule applies once its condition matches', async () => {
+    const { tracker, engine } = await createPage({ rules: [ctaRule] });
+
+    tracker.trackClick('cta');
+    engine.checkEvolutionRules();
+    assert.equal(engine.currentEvolutions.has('cta'), false);
+
+    tracker.trackClick('cta');
+    engine.checkEvolutionRules();
+    assert.equal(engine.currentEvolutions.has('cta'), true);
+    assert.equal(document.querySelector('#contactHero span').textContent, "Let's Build Together!");
+
+    const [logged] = engine.getEvolutionHistory().slice(-1);
+    assert.equal(logged.rule, 'cta');
+    assert.deepEqual(logged.signals, [{ signal: 'clicks.cta', value: 2 }]);
+});
+
+test('tracker events re-check the rules that depend on them', async () => {
+    const { tracker, engine } = await createPage({ rules: [ctaRule, { ...rewardRule, when: 'scrollDepth > 50' }] });
+
+    tracker.trackClick('cta');
+    tracker.trackClick('cta');
+    assert.deepEqual([...engine.pendingRules], ['cta']);
+
+    await flush(350);
+    assert.equal(engine.currentEvolutions.has('cta'), true);
+    assert.equal(engine.currentEvolutions.has('reward'), false);
+});
+
+test('session and recent paths read the matching time scope', async () => {
+    const { tracker, engine } = await createPage({
+        rules: [
+            { name: 'session_cta', when: 'session.clicks.cta > 1', action: 'optimizeCTA' },
+            { name: 'lifetime_visits', when: 'lifetime.visitCount > 1', action: 'personalizeGreeting' }
+        ]
+    });
+
+    tracker.trackClick('cta');
+    tracker.trackClick('cta');
+    engine.checkEvolutionRules();
+
+    assert.equal(engine.evaluateRule(getRule(engine, 'session_cta'), tracker.getMetrics()).status, 'active');
+    assert.equal(engine.evaluateRule(getRule(engine, 'lifetime_visits'), tracker.getMetrics()).status, 'no_match');
+});
+
+test('an applied rule waits out its cooldown before applying again', async (t) => {
+    let now = Date.parse('2024-05-01T12:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+
+    // The reward is a one-off, so it is active until the page is left
+    let { engine } = await createPage({ rules: [rewardRule] });
+    assert.equal(engine.currentEvolutions.has('reward'), true);
+    assert.equal(engine.evaluateRule(getRule(engine, 'reward'), {}, now).status, 'active');
+
+    const storage = await leavePage();
+    now += 20000;
+    ({ engine } = await createPage({ rules: [rewardRule], storage }));
+
+    const result = engine.evaluateRule(getRule(engine, 'reward'), {}, now);
+    assert.equal(result.status, 'cooldown');
+    assert.equal(result.cooldownRemaining, 40000);
+    assert.equal(document.querySelector('.engagement-badge'), null);
+
+    now += 40001;
+    engine.checkEvolutionRules();
+    assert.equal(engine.currentEvolutions.has('reward'), true);
+    assert.notEqual(document.querySelector('.engagement-badge'), null);
+});
+
+test('evolutions are replayed quietly on the next page view', async () => {
+    let { tracker, engine } = await createPage({ rules: [ctaRule] });
+    tracker.trackClick('cta');
+    tracker.trackClick('cta');
+    engine.checkEvolutionRules();
+    const logged = engine.getEvolutionHistory().length;
+
+    const storage = await leavePage();
+    ({ engine } = await createPage({ rules: [ctaRule], storage }));
+
+    assert.equal(engine.currentEvolutions.has('cta'), true);
+    assert.equal(document.querySelector('#contactHero span').textContent, "Let's Build Together!");
+    assert.equal(engine.getEvolutionHistory().length, logged);
+    assert.equal(document.getElementById('evolutionNotice').classList.contains('show'), false);
+});
+
+test('evolutions logged on load are added to the saved history', async () => {
+    const greeting = { name: 'greeting', when: 'visitCount > 0', action: 'personalizeGreeting' };
+    const reward = { ...rewardRule, cooldown: 0 };
+    let { engine } = await createPage({ rules: [greeting, reward] });
+    const logged = engine.getEvolutionHistory().length;
+    assert.ok(logged > 0);
+
+    const storage = await leavePage();
+    ({ engine } = await createPage({ rules: [greeting, reward], storage }));
+    await leavePage();
+
+    // The one-off reward fires again on the second visit
+    assert.equal(engine.getEvolutionHistory().length, logged + 1);
+    assert.equal(JSON.parse(localStorage.getItem('evolutionHistory')).length, logged + 1);
+});
+
+test('undoing a replayed dark theme restores the light theme on the next visit', async () => {
+    const rules = [{ name: 'dark', when: 'false', action: 'setDarkThemeDefault', cooldown: 0 }];
+    let { tracker, engine } = await createPage({ rules });
+    engine.applyRule(getRule(engine, 'dark'));
+    assert.equal(tracker.getData().themePreference, 'dark');
+
+    let storage = await leavePage();
+    ({ tracker, engine } = await createPage({ rules, storage }));
+    assert.equal(document.body.classList.contains('dark-theme'), true);
+    engine.undoEvolution('dark');
+    assert.equal(document.body.classList.contains('dark-theme'), false);
+
+    storage = await leavePage();
+    ({ tracker, engine } = await createPage({ rules, storage }));
+    assert.equal(tracker.getData().themePreference, 'light');
+    assert.equal(document.body.classList.contains('dark-theme'), false);
+});
+
+test('an evolution the visitor undid stays off until they turn it back on', async () => {
+    const rule = { ...ctaRule, cooldown: 0 };
+    let { tracker, engine } = await createPage({ rules: [rule] });
+    const original = pageState();
+    tracker.trackClick('cta');
+    tracker.trackClick('cta');
+    engine.checkEvolutionRules();
+
+    assert.equal(engine.undoEvolution('cta'), true);
+    assert.equal(pageState(), original);
+    engine.checkEvolutionRules();
+    assert.equal(engine.evaluateRule(getRule(engine, 'cta'), tracker.getMetrics()).status, 'dismissed');
+
+    const storage = await leavePage();
+    ({ engine } = await createPage({ rules: [rule], storage }));
+    assert.equal(engine.currentEvolutions.has('cta'), false);
+
+    engine.setRuleEnabled('cta', true);
+    engine.checkEvolutionRules();
+    assert.equal(engine.currentEvolutions.has('cta'), true);
+});
+
+test('a one-off evolution undone in another tab is dismissed here too', async () => {
+    const { engine } = await createPage({ rules: [rewardRule] });
+    engine.handleSyncMessage('evolution_applied', { name: 'reward', appliedAt: Date.now() });
+    assert.equal(engine.currentEvolutions.has('reward'), true);
+
+    engine.handleSyncMessage('evolution_undone', { name: 'reward' });
+    assert.equal(engine.currentEvolutions.has('reward'), false);
+    assert.equal(engine.isRuleEnabled('reward'), false);
+    assert.deepEqual(JSON.parse(localStorage.getItem('evolutionState')).dismissed, ['reward']);
+});
+
+test('a new persona replaces the previous one instead of stacking on it', async () => {
+    const personaRules = [
+        { name: 'recruiter_view', when: "segment == 'recruiter'", action: 'personalizeForRecruiter', cooldown: 0 },
+        { name: 'developer_view', when: "segment == 'developer'", action: 'personalizeForDeveloper', cooldown: 0 }
+    ];
+    let { engine } = await createPage({ rules: personaRules });
+    const original = pageState();
+
+    engine.applyRule(getRule(engine, 'recruiter_view'));
+    engine.applyRule(getRule(engine, 'developer_view'));
+    assert.deepEqual([...engine.currentEvolutions], ['developer_view']);
+    assert.equal(engine.isRuleEnabled('recruiter_view'), true);
+
+    // Only the remaining persona is restored on the next page view
+    const storage = await leavePage();
+    ({ engine } = await createPage({ rules: personaRules, storage }));
+    assert.deepEqual([...engine.currentEvolutions], ['developer_view']);
+
+    assert.equal(engine.undoEvolution('developer_view'), true);
+    assert.equal(pageState(), original);
+});
+
+test('nothing is applied without personalization consent, and revoking it restores the page', async () => {
+    let { tracker, engine } = await createPage({ rules: [ctaRule], consent: false });
+    const original = pageState();
+    tracker.trackClick('cta');
+    tracker.trackClick('cta');
+    engine.checkEvolutionRules();
+    assert.equal(engine.currentEvolutions.size, 0);
+
+    tracker.consent.grantConsent();
+    assert.equal(engine.currentEvolutions.has('cta'), true);
+
+    tracker.consent.revokeConsent('personalization');
+    await flush();
+    assert.equal(engine.currentEvolutions.size, 0);
+    assert.equal(pageState(), original);
+    assert.equal(localStorage.getItem('evolutionState'), null);
+});
+
+test('the simulator gives rules the statuses the engine does', async () => {
+    const { tracker, engine } = await createPage({ rules: [ctaRule] });
+    tracker.trackClick('cta');
+    tracker.trackClick('cta');
+    engine.checkEvolutionRules();
+    tracker.getData().clicks.cta = 0;
+    assert.equal(engine.evaluateRule(getRule(engine, 'cta'), tracker.getMetrics()).status, 'active');
+
+    // Active from the moment the condition stops holding, as on the page
+    const { events } = engine.createSimulator().simulate([
+        { time: 0, metrics: { clicks: { cta: 2 } } },
+        { time: 1000, metrics: { clicks: { cta: 0 } } },
+        { time: 2000, metrics: { clicks: { cta: 2 } } }
+    ]);
+    assert.deepEqual(events.map(({ time, status }) => [time, status]), [[0, 'apply'], [1000, 'active']]);
+});
+
+test('in dry-run mode rules are reported but the page is left alone', async () => {
+    const { tracker, engine } = await createPage({ rules: [ctaRule, rewardRule], url: 'http://localhost/?dryrun' });
+    const original = pageState();
+    tracker.trackClick('cta');
+    tracker.trackClick('cta');
+
+    const report = engine.checkEvolutionRules();
+    assert.deepEqual(report.map(({ rule, status }) => [rule, status]), [['cta', 'apply'], ['reward', 'apply']]);
+    assert.equal(engine.currentEvolutions.size, 0);
+    assert.equal(pageState(), original);
+});
+
+test('a forced rule applies whatever its condition and cooldown say', async () => {
+    const { engine } = await createPage({ rules: [ctaRule] });
+
+    engine.forceRule('cta');
+    assert.equal(engine.currentEvolutions.has('cta'), true);
+    assert.equal(engine.evaluateRule(getRule(engine, 'cta'), {}).status, 'active');
+
+    // Forcing an active rule applies it afresh instead of twice
+    engine.forceRule('cta');
+    assert.equal(engine.appliedEvolutions.filter(evolution => evolution.name === 'cta').length, 1);
+    assert.equal(engine.forceRule('missing'), null);
+});
+
+test('a reset rule is undone and can apply again straight away', async () => {
+    const { tracker, engine } = await createPage({ rules: [ctaRule] });
+    const original = pageState();
+    tracker.trackClick('cta');
+    tracker.trackClick('cta');
+    engine.checkEvolutionRules();
+    engine.undoEvolution('cta');
+    engine.setRuleEnabled('cta', true);
+    assert.equal(engine.evaluateRule(getRule(engine, 'cta'), tracker.getMetrics()).status, 'cooldown');
+
+    engine.resetRule('cta');
+    assert.equal(pageState(), original);
+    assert.equal(engine.evaluateRule(getRule(engine, 'cta'), tracker.getMetrics()).status, 'apply');
+    assert.deepEqual(JSON.parse(localStorage.getItem('evolutionState')).lastAppliedTimes, {});
+});
+
+test('enhanced project cards react to hovering until undone', async () => {
+    const { catalog, engine } = await createPage({ rules: [{ name: 'boost', when: 'false', action: 'enhanceInteractivity' }] });
+    const card = catalog.getCards()[0];
+    engine.applyRule(getRule(engine, 'boost'));
+    const particles = () => document.querySelectorAll('body > div[style*="border-radius: 50%"]').length;
+
+    card.dispatchEvent(new window.MouseEvent('mouseenter'));
+    await flush(450);
+    assert.equal(card.classList.contains('enhanced-hover'), true);
+    assert.equal(particles(), 5);
+
+    card.dispatchEvent(new window.MouseEvent('mouseleave'));
+    assert.equal(card.classList.contains('enhanced-hover'), false);
+
+    engine.undoEvolution('boost');
+    card.dispatchEvent(new window.MouseEvent('mouseenter'));
+    assert.equal(card.classList.contains('enhanced-hover'), false);
+});
+
+// What each action needs to have something to do
+const actionSetups = {
+    moveProjectsUp: () => {},
+    reorderSectionsByInterest: ({ tracker }) => {
+        tracker.getData().timeOnSections.contact = 120000;
+    },
+    optimizeCTA: () => {},
+    setDarkThemeDefault: () => {},
+    highlightPopularProject: ({ tracker, catalog }) => {
+        tracker.trackProjectClick(catalog.getCards()[1].dataset.project);
+    },
+    revealAdditionalContent: () => {},
+    showEngagementReward: () => {},
+    personalizeGreeting: ({ tracker }) => {
+        tracker.getData().visitCount = 3;
+    },
+    enhanceInteractivity: () => {},
+    personalizeForRecruiter: () => {},
+    personalizeForDeveloper: () => {},
+    personalizeForClient: () => {}
+};
+
+test('every action has a test', async () => {
+    const { engine } = await createPage();
+    assert.deepEqual(Object.keys(engine.actions).sort(), Object.keys(actionSetups).sort());
+});
+
+Object.entries(actionSetups).forEach(([action, prepare]) => {
+    test(`${action} changes the page and undoes cleanly`, async () => {
+        const page = await createPage({ rules: [{ name: action, when: 'false', action }] });
+        const { tracker, engine } = page;
+        prepare(page);
+        const original = pageState();
+        const theme = tracker.getData().themePreference;
+
+        const evolution = engine.applyRule(getRule(engine, action));
+        // Some actions finish their changes after a short delay
+        await flush(350);
+
+        assert.ok(evolution.changes.length > 0);
+        assert.notEqual(pageState(), original);
+        assert.equal(engine.currentEvolutions.has(action), true);
+
+        assert.equal(engine.undoEvolution(action), true);
+        assert.equal(pageState(), original);
+        assert.equal(tracker.getData().themePreference, theme);
+        assert.equal(engine.currentEvolutions.has(action), false);
+    });
+});
@@ -0,0 +1,130 @@
+// Loads Index.html into jsdom and exposes its window through the globals the
+// modules use, as a browser would. The page's own scripts don't run; tests
+// construct the objects they need, or call bootstrap().
+import fs from 'fs';
+import { JSDOM } from 'jsdom';
+
+const html = fs.readFileSync(new URL('../../Index.html', import.meta.url), 'utf8');
+
+const globals = [
+    'window', 'document', 'navigator', 'location', 'localStorage', 'sessionStorage',
+    'Node', 'Element', 'HTMLElement', 'Event', 'CustomEvent', 'MutationObserver',
+    'Blob', 'FileReader', 'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'
+];
+
+let dom = null;
+
+// Timers started while a page is up are cleared with it, so autosaves and
+// lease heartbeats don't outlive their test or keep the process running
+const nodeTimers = { setTimeout, setInterval };
+const timers = new Set();
+['setTimeout', 'setInterval'].forEach(name => {
+    globalThis[name] = (...args) => {
+        const timer = nodeTimers[name](...args);
+        timers.add(timer);
+        return timer;
+    };
+});
+
+// jsdom has no layout, so sections are shown with intersect() instead
+class FakeIntersectionObserver {
+    constructor(callback) {
+        this.callback = callback;
+        this.targets = new Set();
+        FakeIntersectionObserver.instances.add(this);
+    }
+
+    observe(target) {
+        this.targets.add(target);
+    }
+
+    unobserve(target) {
+        this.targets.delete(target);
+    }
+
+    disconnect() {
+        this.targets.clear();
+        FakeIntersectionObserver.instances.delete(this);
+    }
+}
+FakeIntersectionObserver.instances = new Set();
+
+// options: url, storage (localStorage entries), consent (false for none, or
+// { personalization, analytics })
+export function setupDOM({ url = 'http://localhost/', storage = {}, consent = true } = {}) {
+    teardownDOM();
+
+    dom = new JSDOM(html, { url, pretendToBeVisual: true });
+    const { window } = dom;
+    window.IntersectionObserver = FakeIntersectionObserver;
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    window.Element.prototype.animate = () => ({ finished: Promise.resolve(), cancel() {} });
+    window.scrollTo = () => {};
+    window.scrollBy = () => {};
+
+    if (consent) {
+        window.localStorage.setItem('portfolioConsent', JSON.stringify({
+            decidedAt: new Date().toISOString(),
+            personalization: true,
+            analytics: true,
+            ...(typeof consent === 'object' ? consent : {})
+        }));
+    }
+    Object.entries(storage).forEach(([key, value]) => {
+        window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+
+    globals.forEach(name => {
+        const value = typeof window[name] === 'function' && /^[a-z]/.test(name) ? window[name].bind(window) : window[name];
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    });
+    globalThis.IntersectionObserver = FakeIntersectionObserver;
+    // Node has its own BroadcastChannel, shared by every tab in the process;
+    // without one TabSync talks through storage events like older browsers
+    globalThis.BroadcastChannel = undefined;
+
+    return window;
+}
+
+export function teardownDOM() {
+    if (!dom) return;
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    FakeIntersectionObserver.instances.clear();
+    dom.window.close();
+    dom = null;
+}
+
+// Report `element` as visible over `height` px (0 to hide it) to the
+// IntersectionObservers watching it
+export function intersect(element, height) {
+    const ratio = Math.min(1, height / (element.offsetHeight || window.innerHeight));
+    FakeIntersectionObserver.instances.forEach(observer => {
+        if (!observer.targets.has(element)) return;
+        observer.callback([{
+            target: element,
+            isIntersecting: height > 0,
+            intersectionRatio: ratio,
+            intersectionRect: { height }
+        }], observer);
+    });
+}
+
+// Let promise chains and zero-delay timers settle
+export function flush(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Leave the page as a visitor would and return what it left in localStorage,
+// ready to pass to setupDOM() for the next page view
+export async function leavePage() {
+    window.dispatchEvent(new window.Event('pagehide'));
+    await flush();
+
+    const entries = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        entries[key] = localStorage.getItem(key);
+    }
+    return entries;
+}
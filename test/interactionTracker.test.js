@@ -0,0 +1,231 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, teardownDOM, intersect, flush, leavePage } from './helpers/dom.js';
+import { InteractionTracker } from '../interactionTracker.js';
+
+afterEach(() => teardownDOM());
+
+async function createTracker(options) {
+    setupDOM(options);
+    const tracker = new InteractionTracker();
+    await tracker.ready;
+    return tracker;
+}
+
+function savedData() {
+    return JSON.parse(localStorage.getItem('portfolioInteractionData'));
+}
+
+test('counters are saved and restored on the next page view', async () => {
+    const tracker = await createTracker();
+    tracker.trackClick('projects');
+    tracker.trackClick('cta');
+    await tracker.saveData();
+
+    const saved = savedData();
+    assert.equal(saved.clicks.projects, 1);
+    assert.equal(saved.visitCount, 1);
+
+    const reloaded = await createTracker({ storage: { portfolioInteractionData: saved } });
+    assert.equal(reloaded.getData().clicks.projects, 1);
+    assert.equal(reloaded.getData().clicks.cta, 1);
+    // Same day, same visit
+    assert.equal(reloaded.getData().visitCount, 1);
+});
+
+test('a page view on another day counts as a new visit', async () => {
+    const tracker = await createTracker();
+    await tracker.saveData();
+    const saved = { ...savedData(), lastVisit: 'Mon Jan 01 2024' };
+
+    const reloaded = await createTracker({ storage: { portfolioInteractionData: saved } });
+    assert.equal(reloaded.getData().visitCount, 2);
+});
+
+test('nothing is stored without consent', async () => {
+    const tracker = await createTracker({ consent: false });
+    tracker.trackClick('projects');
+    await tracker.saveData();
+
+    assert.equal(tracker.getData().clicks.projects, 1);
+    assert.equal(localStorage.getItem('portfolioInteractionData'), null);
+});
+
+function useBeaconStorage() {
+    document.getElementById('portfolioConfig').textContent = JSON.stringify({
+        storage: { type: 'beacon', endpoint: 'http://localhost/collect', batchSize: 1 }
+    });
+}
+
+test('remote storage sends nothing without analytics consent', async () => {
+    setupDOM({ consent: { analytics: false } });
+    useBeaconStorage();
+    const sent = [];
+    navigator.sendBeacon = (url, blob) => sent.push(blob) > 0;
+
+    const tracker = new InteractionTracker();
+    await tracker.ready;
+    tracker.trackClick('projects');
+    await tracker.saveData();
+    tracker.storage.flush();
+
+    assert.equal(savedData().clicks.projects, 1);
+    assert.equal(sent.length, 0);
+
+    tracker.consent.grantConsent('analytics');
+    await tracker.saveData();
+    const { batch } = JSON.parse(await sent[0].text());
+    assert.equal(batch[0].key, 'portfolioInteractionData');
+});
+
+test('with remote storage the local copy survives a reload', async () => {
+    setupDOM();
+    useBeaconStorage();
+    navigator.sendBeacon = () => true;
+    let tracker = new InteractionTracker();
+    await tracker.ready;
+    tracker.trackClick('projects');
+    tracker.trackClick('projects');
+    await tracker.saveData();
+    await tracker.storage.save('evolutionHistory', [{ description: 'Logged before' }]);
+
+    const storage = await leavePage();
+    setupDOM({ storage });
+    useBeaconStorage();
+    navigator.sendBeacon = () => true;
+    tracker = new InteractionTracker();
+    await tracker.ready;
+
+    assert.equal(tracker.getData().clicks.projects, 2);
+    assert.deepEqual(JSON.parse(localStorage.getItem('evolutionHistory')), [{ description: 'Logged before' }]);
+});
+
+test('revoking analytics keeps the counters but drops the interaction log', async () => {
+    const tracker = await createTracker();
+    tracker.trackClick('projects');
+    tracker.trackClick('projects');
+    assert.ok(tracker.getData().interactions.length > 0);
+
+    tracker.consent.revokeConsent('analytics');
+    await flush();
+    assert.equal(tracker.getData().clicks.projects, 2);
+    assert.equal(tracker.getData().visitCount, 1);
+    assert.deepEqual(savedData().interactions, []);
+    assert.equal(savedData().clicks.projects, 2);
+
+    tracker.consent.revokeConsent('personalization');
+    await flush();
+    assert.equal(tracker.getData().clicks.projects, 0);
+    assert.equal(localStorage.getItem('portfolioInteractionData'), null);
+});
+
+test('corrupt saved data is repaired and the original kept aside', async () => {
+    const corrupt = { schemaVersion: 1, clicks: 'lots', visitCount: -3, projects: { demo: { clicks: 'x' } }, interactions: [{ type: 'click' }] };
+    const tracker = await createTracker({ storage: { portfolioInteractionData: corrupt } });
+    const data = tracker.getData();
+
+    assert.equal(data.clicks.projects, 0);
+    assert.equal(data.visitCount, 1);
+    assert.deepEqual(data.projects, {});
+    assert.ok(data.interactions.every(interaction => typeof interaction.timestamp === 'number'));
+    assert.deepEqual(JSON.parse(localStorage.getItem('portfolioInteractionData:corrupt')), corrupt);
+});
+
+test('unreadable saved data is moved aside and tracking starts fresh', async () => {
+    const tracker = await createTracker({ storage: { portfolioInteractionData: '{"clicks": ' } });
+
+    assert.equal(tracker.getData().visitCount, 1);
+    assert.equal(localStorage.getItem('portfolioInteractionData:corrupt'), '{"clicks": ');
+});
+
+test('data saved before versioning is migrated to the current schema', async () => {
+    const legacy = { clicks: { projects: 3 }, visitCount: 4, lastVisit: new Date().toDateString() };
+    const tracker = await createTracker({ storage: { portfolioInteractionData: legacy } });
+    const data = tracker.getData();
+
+    assert.equal(data.schemaVersion, 1);
+    assert.equal(data.clicks.projects, 3);
+    assert.equal(data.clicks.contact, 0);
+    assert.equal(data.visitCount, 4);
+    assert.deepEqual(data.daily[tracker.getDayKey()].clicks.projects, 0);
+});
+
+test('time is split between the visible sections by how much of the screen they fill', async (t) => {
+    let now = Date.parse('2024-05-01T12:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+    const tracker = await createTracker();
+
+    intersect(document.getElementById('about'), 576);
+    intersect(document.getElementById('projects'), 192);
+    now += 8000;
+    tracker.updateSectionTime();
+
+    const data = tracker.getData();
+    assert.equal(data.timeOnSections.about, 6000);
+    assert.equal(data.timeOnSections.projects, 2000);
+    assert.equal(data.session.timeOnSections.about, 6000);
+    // Only sections at least half on screen count as viewed
+    assert.equal(data.sectionViews.about, 1);
+    assert.equal(data.sectionViews.projects, 0);
+});
+
+test('section time stops while the window is in the background', async (t) => {
+    let now = Date.parse('2024-05-01T12:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+    const tracker = await createTracker();
+
+    intersect(document.getElementById('about'), window.innerHeight);
+    now += 1000;
+    window.dispatchEvent(new window.Event('blur'));
+    now += 5000;
+    window.dispatchEvent(new window.Event('focus'));
+    now += 1000;
+    tracker.updateSectionTime();
+
+    assert.equal(tracker.getData().timeOnSections.about, 2000);
+});
+
+test('a section counts another view each time it comes back into view', async () => {
+    const tracker = await createTracker();
+    const about = document.getElementById('about');
+    const changes = [];
+    tracker.on('section_change', event => changes.push([event.previous, event.section]));
+
+    intersect(about, window.innerHeight);
+    intersect(about, 0);
+    intersect(document.getElementById('contact'), window.innerHeight);
+    intersect(about, window.innerHeight);
+
+    assert.equal(tracker.getData().sectionViews.about, 2);
+    assert.equal(tracker.getData().sectionViews.contact, 1);
+    assert.deepEqual(changes, [['home', 'about'], ['about', 'contact']]);
+});
+
+test('sections added to the page get counters and are timed', async () => {
+    const tracker = await createTracker();
+    const section = document.createElement('section');
+    section.id = 'blog';
+    section.dataset.section = 'blog';
+    document.body.appendChild(section);
+    await flush();
+
+    assert.equal(tracker.getData().timeOnSections.blog, 0);
+    assert.equal(tracker.getData().session.sectionViews.blog, 0);
+
+    intersect(section, window.innerHeight);
+    assert.equal(tracker.getData().sectionViews.blog, 1);
+});
+
+test('tab messages through storage are not left behind, and bad ones are ignored', async (t) => {
+    const tracker = await createTracker();
+    const received = [];
+    tracker.sync.onMessage(type => received.push(type));
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    tracker.sync.send('interaction', { element: 'cta' });
+    assert.equal(localStorage.getItem('portfolio-sync:message'), null);
+
+    window.dispatchEvent(new window.StorageEvent('storage', { key: 'portfolio-sync:message', newValue: '{not json' }));
+    assert.equal(warn.mock.callCount(), 1);
+    assert.deepEqual(received, []);
+});
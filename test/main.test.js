@@ -0,0 +1,99 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, teardownDOM, leavePage } from './helpers/dom.js';
+// Imported before any page exists: a module that touched the DOM on load would throw here
+import { bootstrap, PortfolioApp } from '../main.js';
+
+afterEach(() => teardownDOM());
+mock.method(console, 'log', () => {});
+
+async function startApp(options) {
+    setupDOM(options);
+    const app = bootstrap();
+    await app.ready;
+    return app;
+}
+
+test('importing the app starts nothing', () => {
+    setupDOM();
+
+    assert.equal(typeof PortfolioApp, 'function');
+    assert.equal(window.portfolioApp, undefined);
+    assert.equal(document.querySelectorAll('.project-card').length, 0);
+    assert.deepEqual(Object.keys(localStorage), ['portfolioConsent']);
+});
+
+test('bootstrap() starts the app on the page', async () => {
+    const app = await startApp();
+
+    assert.equal(window.portfolioApp, app);
+    assert.ok(document.querySelectorAll('.project-card').length > 0);
+    assert.equal(app.tracker.getData().visitCount, 1);
+    assert.ok(app.evolutionEngine.evolutionRules.length > 0);
+    assert.equal(app.evolutionEngine.tracker, app.tracker);
+});
+
+test('the theme toggle switches theme and is remembered on the next visit', async () => {
+    let app = await startApp();
+    document.getElementById('themeToggle').click();
+
+    assert.equal(document.body.classList.contains('dark-theme'), true);
+    assert.equal(app.tracker.getData().clicks.themeToggle, 1);
+    assert.equal(app.tracker.getData().themePreference, 'dark');
+
+    const storage = await leavePage();
+    app = await startApp({ storage });
+    assert.equal(document.body.classList.contains('dark-theme'), true);
+});
+
+test("returning visitors are greeted by the page's own rules", async () => {
+    const saved = { schemaVersion: 1, visitCount: 2, lastVisit: 'Mon Jan 01 2024' };
+    const app = await startApp({ storage: { portfolioInteractionData: saved } });
+
+    assert.equal(app.tracker.getData().visitCount, 3);
+    assert.equal(app.evolutionEngine.currentEvolutions.has('personalized_greeting'), true);
+    assert.equal(document.querySelectorAll('.hero-title .title-line')[1].textContent, 'Welcome Back!');
+});
+
+test('the dashboard lists recordings without running markup from their ids', async () => {
+    const id = '" onmouseover="window.injected = true" x="';
+    const recording = { id, startedAt: Date.now(), events: [] };
+    const app = await startApp({ url: 'http://localhost/?dashboard', storage: { sessionRecordings: [recording] } });
+    await app.sessionRecorder.ready;
+    app.ownerDashboard.render();
+
+    const items = [...document.querySelectorAll('.owner-dashboard [data-recording]')];
+    assert.ok(items.some(item => item.dataset.recording === id));
+    assert.ok(items.every(item => !item.hasAttribute('onmouseover')));
+});
+
+test('merging an import keeps same-millisecond events and drops only exact copies', async () => {
+    const app = await startApp();
+    const time = Date.now() - 1000;
+    const home = { type: 'section_view', timestamp: time, data: { section: 'home' } };
+    const about = { type: 'section_view', timestamp: time, data: { section: 'about' } };
+    const cta = { type: 'click', timestamp: time + 1, data: { element: 'cta' } };
+    app.tracker.getData().interactions = [home, about];
+
+    const doc = app.dataPortability.exportData();
+    doc.tracker.interactions = [];
+    await app.dataPortability.importData(JSON.stringify(doc));
+    assert.deepEqual(app.tracker.getData().interactions, [home, about]);
+
+    doc.tracker.interactions = [about, cta];
+    await app.dataPortability.importData(JSON.stringify(doc));
+    assert.deepEqual(app.tracker.getData().interactions, [home, about, cta]);
+});
+
+test("sorting projects by popularity follows the visitor's own interest", async () => {
+    const app = await startApp();
+    const catalog = app.projectCatalog;
+    const featured = catalog.getOrder();
+    const [first, second, third] = [featured.at(-1), featured.at(-2), featured[0]];
+    app.tracker.trackProjectClick(first);
+    app.tracker.trackProjectClick(first);
+    app.tracker.trackProjectClick(second);
+
+    catalog.sortBy('popular');
+    assert.deepEqual(catalog.getOrder().slice(0, 3), [first, second, third]);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RuleCompiler, RuleValidationError } from '../ruleCompiler.js';
+
+const data = {
+    clicks: { projects: 4, about: 1, cta: 0 },
+    timeOnSections: { projects: 9000, about: 3000 },
+    themePreference: 'dark',
+    segment: 'developer'
+};
+
+function createCompiler() {
+    return new RuleCompiler({
+        schema: data,
+        actions: ['optimizeCTA', 'moveProjectsUp'],
+        functions: { getEngagementScore: () => 42 }
+    });
+}
+
+function evaluate(condition) {
+    const compiler = createCompiler();
+    return compiler.evaluate(compiler.parse(condition), data);
+}
+
+test('conditions compare paths, literals and function calls', () => {
+    assert.equal(evaluate('clicks.projects > clicks.about + 2'), true);
+    assert.equal(evaluate('clicks.projects >= 5'), false);
+    assert.equal(evaluate("themePreference == 'dark'"), true);
+    assert.equal(evaluate('segment != "developer"'), false);
+    assert.equal(evaluate('getEngagementScore() > 40'), true);
+    assert.equal(evaluate('true'), true);
+});
+
+test('arithmetic follows precedence and dividing by zero gives 0', () => {
+    assert.equal(evaluate('2 + 3 * 4 == 14'), true);
+    assert.equal(evaluate('(2 + 3) * 4 == 20'), true);
+    assert.equal(evaluate('timeOnSections.projects / clicks.cta == 0'), true);
+});
+
+test('and, or and not combine conditions in either spelling', () => {
+    assert.equal(evaluate('clicks.projects > 3 and clicks.about > 3'), false);
+    assert.equal(evaluate('clicks.projects > 3 && clicks.about > 0'), true);
+    assert.equal(evaluate('clicks.cta > 0 or clicks.about > 0'), true);
+    assert.equal(evaluate('clicks.cta > 0 || not clicks.about > 0'), false);
+    assert.equal(evaluate('!(clicks.cta > 0)'), true);
+});
+
+test('missing values count as 0', () => {
+    assert.equal(evaluate('clicks.social == 0'), true);
+});
+
+test('compile() returns rules with defaults and the signals they read', () => {
+    const [rule] = createCompiler().compile({
+        rules: [{ name: 'cta', when: 'clicks.cta > 3 or getEngagementScore() > 50', action: 'optimizeCTA' }]
+    });
+
+    assert.equal(rule.cooldown, 0);
+    assert.equal(rule.experiment, null);
+    assert.deepEqual(rule.signals, ['clicks.cta', 'getEngagementScore()']);
+});
+
+test('collectSignals() reports the values a condition read', () => {
+    const compiler = createCompiler();
+    const signals = compiler.collectSignals(compiler.parse('clicks.projects > 3 and getEngagementScore() > 40'), data);
+
+    assert.deepEqual(signals, [
+        { signal: 'clicks.projects', value: 4 },
+        { signal: 'getEngagementScore()', value: 42 }
+    ]);
+});
+
+test('invalid documents throw a RuleValidationError listing every problem', () => {
+    const compiler = createCompiler();
+    assert.throws(() => compiler.compile('{ not json'), RuleValidationError);
+
+    let error;
+    try {
+        compiler.compile({
+            rules: [
+                { name: 'a', when: 'clicks.cta > 1', action: 'optimizeCTA' },
+                { name: 'a', when: 'clicks.unknown.path > 1', action: 'explode' },
+                { name: 'b', when: 'clicks.cta >', action: 'optimizeCTA', cooldown: -1 },
+                { name: 'c', when: 'missing() > 1', action: 'optimizeCTA', experiment: { holdout: 2 } }
+            ]
+        });
+    } catch (e) {
+        error = e;
+    }
+
+    assert.ok(error instanceof RuleValidationError);
+    assert.deepEqual(error.errors, [
+        'Rule "a": duplicate rule name',
+        'Rule "a": unknown action "explode" (expected one of optimizeCTA, moveProjectsUp)',
+        'Rule "a": unknown path "clicks.unknown.path"',
+        'Rule "b": "cooldown" must be a non-negative number of milliseconds',
+        'Rule "b": unexpected end of condition',
+        'Rule "c": "experiment.holdout" must be a fraction between 0 and 1',
+        'Rule "c": unknown function "missing()"'
+    ]);
+});
@@ -0,0 +1,52 @@
+// Local stub for the "beacon" storage backend.
+// Run with `node tools/beaconStubServer.js [port]`, then set
+// "storage": { "type": "beacon", "endpoint": "http://localhost:8787/collect" }
+// in #portfolioConfig. Received batches are printed and kept in memory;
+// GET /batches returns them as JSON.
+import http from 'http';
+
+const port = Number(process.argv[2]) || 8787;
+const batches = [];
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'GET' && req.url === '/batches') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(batches));
+        return;
+    }
+
+    if (req.method === 'POST' && req.url === '/collect') {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                const payload = JSON.parse(body);
+                batches.push(payload);
+                console.log(`Received batch of ${payload.batch.length} record(s):`,
+                    payload.batch.map(record => record.key).join(', '));
+                res.writeHead(204);
+            } catch (e) {
+                console.warn('Rejected malformed batch:', e.message);
+                res.writeHead(400);
+            }
+            res.end();
+        });
+        return;
+    }
+
+    res.writeHead(404);
+    res.end();
+});
+
+server.listen(port, () => {
+    console.log(`Beacon stub listening on http://localhost:${port}/collect`);
+});
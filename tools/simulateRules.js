@@ -0,0 +1,64 @@
+// Simulates evolution rules headlessly with RuleSimulator.
+// Run with `node tools/simulateRules.js <timeline.json> [rules.json] [--json]`.
+// The timeline is a list of RuleSimulator steps, or a data export from the
+// dashboard, whose evolution history is used as the timeline. Rules default to
+// the #evolutionRules document in Index.html. The simulator and the engine
+// touch no DOM on import, so they are imported as is.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EvolutionEngine } from '../evolutionEngine.js';
+import { RuleSimulator } from '../ruleSimulator.js';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const asJSON = process.argv.includes('--json');
+
+if (!args[0]) {
+    console.error('Usage: node tools/simulateRules.js <timeline.json> [rules.json] [--json]');
+    process.exit(1);
+}
+
+function readScript(html, id) {
+    const match = html.match(new RegExp(`<script[^>]*id="${id}"[^>]*>([\\s\\S]*?)</script>`));
+    return match ? match[1] : null;
+}
+
+const html = fs.readFileSync(path.join(root, 'Index.html'), 'utf8');
+const rules = args[1] ? fs.readFileSync(args[1], 'utf8') : readScript(html, 'evolutionRules');
+const input = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+
+let timeline = input;
+if (!Array.isArray(input)) {
+    timeline = RuleSimulator.timelineFromHistory((input.evolution && input.evolution.history) || []);
+}
+
+let result;
+try {
+    result = new RuleSimulator(rules, {
+        isReplayable: action => !EvolutionEngine.ONE_OFF_ACTIONS.includes(action)
+    }).simulate(timeline);
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+
+if (asJSON) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+}
+
+const start = timeline.length ? Math.min(...timeline.map(step => step.time)) : 0;
+const formatValue = value => typeof value === 'number' ? Math.round(value * 100) / 100 : JSON.stringify(value);
+
+result.events.forEach(event => {
+    const time = `+${((event.time - start) / 1000).toFixed(1)}s`.padStart(10);
+    const signals = (event.signals || []).map(({ signal, value }) => `${signal} = ${formatValue(value)}`).join(', ');
+    const remaining = event.cooldownRemaining ? ` (${Math.ceil(event.cooldownRemaining / 1000)}s left)` : '';
+    console.log(`${time}  ${event.status.padEnd(9)} ${event.rule.padEnd(24)} ${signals}${remaining}`);
+});
+
+console.log(`\n${result.applied.length} evolution(s) applied over ${timeline.length} step(s)`);
+if (result.missing.length) {
+    console.log(`No values given for ${result.missing.join(', ')}; counted as 0`);
+}
@@ -0,0 +1,187 @@
+// Tracker Schema Module
+// The one definition of what the tracker stores. Saved data carries a
+// schemaVersion; on load it is migrated step by step to the current version,
+// then checked field by field so corrupt values fall back to their defaults
+// instead of breaking tracking. Sections found in the page are registered at
+// runtime, so new ones get counters without a schema change.
+export class TrackerSchema {
+    constructor() {
+        this.clickTypes = [...TrackerSchema.clickTypes];
+        this.sections = [...TrackerSchema.sections];
+    }
+
+    // Returns true if the section wasn't known yet
+    registerSection(id) {
+        if (!id || this.sections.includes(id)) return false;
+        this.sections.push(id);
+        return true;
+    }
+
+    // Counters kept for the lifetime, each session and each day
+    createMetricCounts() {
+        const zeros = (keys) => Object.fromEntries(keys.map(key => [key, 0]));
+        return {
+            clicks: zeros(this.clickTypes),
+            scrollDepth: 0,
+            timeOnSections: zeros(this.sections),
+            sectionViews: zeros(this.sections)
+        };
+    }
+
+    createDefaultData() {
+        return {
+            schemaVersion: TrackerSchema.VERSION,
+            ...this.createMetricCounts(),
+            themePreference: 'light',
+            lastVisit: null,
+            visitCount: 0,
+            // project id -> { clicks, ctaClicks, hoverTime, visibleTime }
+            projects: {},
+            // Last subject picked in the contact form
+            contactSubject: null,
+            // First external landing: { referrer, utm, landedAt }
+            acquisition: null,
+            // Current session, started after metrics.sessionTimeout of inactivity
+            session: null,
+            // 'YYYY-MM-DD' -> counters for that day, pruned to metrics.windowDays
+            daily: {},
+            interactions: []
+        };
+    }
+
+    // Bring saved data of any version up to date. Returns { data, problems },
+    // data being null if nothing could be salvaged.
+    upgrade(saved) {
+        if (!this.isObject(saved)) {
+            return { data: null, problems: ['saved data is not an object'] };
+        }
+
+        const version = saved.schemaVersion || 0;
+        if (version > TrackerSchema.VERSION) {
+            // Written by a newer build; read what we understand and leave the rest
+            console.warn(`Interaction data is schema v${version}, newer than v${TrackerSchema.VERSION}`);
+        }
+
+        let data = { ...saved };
+        TrackerSchema.migrations
+            .filter(migration => migration.version > version)
+            .forEach(migration => {
+                data = migration.migrate(data);
+                data.schemaVersion = migration.version;
+            });
+
+        return this.repair(data);
+    }
+
+    // Replace missing or malformed fields with their defaults
+    repair(saved) {
+        const problems = [];
+        const defaults = this.createDefaultData();
+        const data = { ...defaults, ...saved };
+        const check = (field, valid, fallback = defaults[field]) => {
+            if (!valid(data[field])) {
+                problems.push(`${field} was invalid`);
+                data[field] = fallback;
+            }
+        };
+
+        this.repairCounts(data, '', problems);
+        check('visitCount', value => this.isCount(value));
+        check('themePreference', value => ['light', 'dark'].includes(value));
+        check('lastVisit', value => value === null || typeof value === 'string');
+        check('contactSubject', value => value === null || typeof value === 'string');
+        check('acquisition', value => value === null || this.isObject(value));
+        check('projects', value => this.isObject(value));
+        check('daily', value => this.isObject(value));
+        check('session', value => value === null ||
+            (this.isObject(value) && typeof value.id === 'string' && this.isCount(value.startedAt) && this.isCount(value.lastActivity)));
+        check('interactions', value => Array.isArray(value));
+
+        // Entries are removed below; copy so the saved data, kept as a backup, isn't changed
+        data.projects = { ...data.projects };
+        data.daily = { ...data.daily };
+
+        Object.entries(data.projects).forEach(([id, stats]) => {
+            if (!this.isObject(stats) || !Object.values(stats).every(value => this.isCount(value))) {
+                problems.push(`projects.${id} was invalid`);
+                delete data.projects[id];
+            }
+        });
+
+        Object.entries(data.daily).forEach(([day, counts]) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || !this.isObject(counts)) {
+                problems.push(`daily.${day} was invalid`);
+                delete data.daily[day];
+                return;
+            }
+            data.daily[day] = { ...this.createMetricCounts(), sessions: 0, ...counts };
+            this.repairCounts(data.daily[day], `daily.${day}.`, problems);
+        });
+
+        if (data.session) {
+            data.session = { ...this.createMetricCounts(), acquisition: null, ...data.session };
+            this.repairCounts(data.session, 'session.', problems);
+        }
+
+        const count = data.interactions.length;
+        data.interactions = data.interactions.filter(interaction =>
+            this.isObject(interaction) && typeof interaction.type === 'string' && this.isCount(interaction.timestamp));
+        if (data.interactions.length < count) {
+            problems.push(`${count - data.interactions.length} interactions were invalid`);
+        }
+
+        return { data, problems };
+    }
+
+    // Counters missing from older data (a new click type or section) start at 0
+    repairCounts(scope, prefix, problems) {
+        const defaults = this.createMetricCounts();
+        ['clicks', 'timeOnSections', 'sectionViews'].forEach(group => {
+            if (!this.isObject(scope[group])) {
+                problems.push(`${prefix}${group} was invalid`);
+                scope[group] = defaults[group];
+                return;
+            }
+            scope[group] = { ...defaults[group], ...scope[group] };
+            Object.entries(scope[group]).forEach(([key, value]) => {
+                if (!this.isCount(value)) {
+                    problems.push(`${prefix}${group}.${key} was invalid`);
+                    scope[group][key] = 0;
+                }
+            });
+        });
+
+        if (!this.isCount(scope.scrollDepth) || scope.scrollDepth > 100) {
+            problems.push(`${prefix}scrollDepth was invalid`);
+            scope.scrollDepth = 0;
+        }
+    }
+
+    isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    isCount(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    }
+}
+
+TrackerSchema.VERSION = 1;
+
+TrackerSchema.clickTypes = ['projects', 'contact', 'about', 'themeToggle', 'social', 'cta', 'navigation', 'github', 'linkedin'];
+
+// Sections in the page are registered on top of these when tracking starts
+TrackerSchema.sections = ['home', 'about', 'projects', 'contact'];
+
+// Ordered steps from one schemaVersion to the next. Each takes the data as
+// saved at the previous version and returns it in the shape of its own;
+// anything it leaves out is filled from the defaults afterwards.
+TrackerSchema.migrations = [
+    {
+        // Data saved before versioning has the current shape minus the fields
+        // added since (sessions, daily counters, project stats), which repair()
+        // fills in from the defaults
+        version: 1,
+        migrate: data => data
+    }
+];
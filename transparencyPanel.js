@@ -0,0 +1,197 @@
+// Transparency Panel Module
+// Shows visitors which evolutions were applied to them, the rule behind each
+// one and the signals that triggered it, and lets them opt out per rule or
+// download their data.
+import { formatDuration } from './utils.js';
+
+export class TransparencyPanel {
+    constructor(evolutionEngine, dataPortability) {
+        this.engine = evolutionEngine;
+        this.dataPortability = dataPortability;
+        this.panel = document.getElementById('transparencyPanel');
+        this.init();
+    }
+
+    init() {
+        if (!this.panel) return;
+
+        document.getElementById('transparencyToggle')?.addEventListener('click', () => this.toggle());
+        document.getElementById('closeTransparency')?.addEventListener('click', () => this.close());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) this.close();
+        });
+
+        this.panel.addEventListener('change', (e) => {
+            const rule = e.target.dataset.rule;
+            if (rule) {
+                this.engine.setRuleEnabled(rule, e.target.checked);
+            }
+        });
+
+        this.panel.addEventListener('click', (e) => {
+            const format = e.target.closest('[data-export]')?.dataset.export;
+            if (format === 'json') this.dataPortability.downloadJSON();
+            if (format === 'interactions') this.dataPortability.downloadCSV('interactions');
+        });
+    }
+
+    isOpen() {
+        return this.panel.classList.contains('show');
+    }
+
+    open() {
+        this.render();
+        this.panel.classList.add('show');
+        this.panel.setAttribute('aria-hidden', 'false');
+        document.getElementById('closeTransparency')?.focus();
+    }
+
+    close() {
+        this.panel.classList.remove('show');
+        this.panel.setAttribute('aria-hidden', 'true');
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    render() {
+        this.renderEvolutions();
+        this.renderRules();
+    }
+
+    renderEvolutions() {
+        const list = document.getElementById('transparencyEvolutions');
+        if (!list) return;
+
+        const events = this.engine.getEvolutionHistory().filter(event => event.rule).reverse();
+        list.innerHTML = '';
+
+        if (!this.engine.consent.hasConsent('personalization')) {
+            list.appendChild(this.createEmptyItem('Personalization is off, so nothing has been adapted to you.'));
+            return;
+        }
+        if (!events.length) {
+            list.appendChild(this.createEmptyItem('Nothing has changed for you yet.'));
+            return;
+        }
+
+        events.forEach(event => {
+            const item = document.createElement('li');
+            item.className = 'transparency-item';
+
+            const title = document.createElement('strong');
+            title.textContent = event.description;
+
+            const meta = document.createElement('span');
+            meta.className = 'transparency-meta';
+            const status = this.engine.currentEvolutions.has(event.rule) ? 'active' : 'no longer active';
+            meta.textContent = `${new Date(event.timestamp).toLocaleString()} · rule "${event.rule}" · ${status}`;
+
+            const signals = document.createElement('ul');
+            signals.className = 'transparency-signals';
+            (event.signals || []).forEach(signal => {
+                const line = document.createElement('li');
+                line.textContent = this.describeSignal(signal);
+                signals.appendChild(line);
+            });
+
+            item.append(title, meta, signals);
+            list.appendChild(item);
+        });
+    }
+
+    renderRules() {
+        const list = document.getElementById('transparencyRules');
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.engine.evolutionRules.forEach(rule => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'consent-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.rule = rule.name;
+            checkbox.checked = this.engine.isRuleEnabled(rule.name);
+
+            const text = document.createElement('span');
+            text.textContent = rule.description || rule.name.replace(/_/g, ' ');
+
+            label.append(checkbox, text);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+    }
+
+    createEmptyItem(message) {
+        const item = document.createElement('li');
+        item.className = 'transparency-empty';
+        item.textContent = message;
+        return item;
+    }
+
+    // Turn a condition signal into a sentence, e.g. "You clicked projects 9 times"
+    describeSignal({ signal, value }) {
+        const [scope, ...rest] = signal.split('.');
+        const scopes = {
+            lifetime: 'Over all your visits',
+            session: 'During this visit',
+            recent: `In the last ${this.engine.tracker.metrics.windowDays} days`
+        };
+        if (scopes[scope] && rest.length) {
+            const sentence = this.describeSignal({ signal: rest.join('.'), value });
+            return `${scopes[scope]}, ${sentence.charAt(0).toLowerCase()}${sentence.slice(1)}`;
+        }
+
+        const [group, key] = signal.split('.');
+        const labels = {
+            themeToggle: 'the theme toggle',
+            cta: 'call-to-action buttons',
+            navigation: 'navigation links',
+            social: 'social links',
+            github: 'GitHub links',
+            linkedin: 'LinkedIn links'
+        };
+        const name = labels[key] || key;
+
+        switch (group) {
+            case 'clicks':
+                return `You clicked ${name} ${this.times(value)}`;
+            case 'sectionViews':
+                return `You viewed the ${name} section ${this.times(value)}`;
+            case 'timeOnSections':
+                return `You spent ${formatDuration(value)} on the ${name} section`;
+            case 'scrollDepth':
+                return `You scrolled through ${value}% of the page`;
+            case 'visitCount':
+                return `You have visited ${this.times(value)}`;
+            case 'sessions':
+                return `You came by ${this.times(value)}`;
+            case 'segment':
+                return `Your visit looks like a ${value}'s`;
+            case 'segments':
+                return `You matched the ${key} profile ${Math.round(value * 100)}%`;
+            case 'themePreference':
+                return `You chose the ${value} theme`;
+            case 'getEngagementScore()':
+                return `Your engagement score reached ${Math.round(value)} out of 100`;
+            case 'sectionsOutOfOrder()':
+                return `Your interest would reorder ${value} ${value === 1 ? 'section' : 'sections'}`;
+            case 'getTopProjectScore()':
+                return `Your interest in one project reached a score of ${Math.round(value)}`;
+            default:
+                return `${signal} was ${value}`;
+        }
+    }
+
+    times(count) {
+        return `${count} ${count === 1 ? 'time' : 'times'}`;
+    }
+}
@@ -0,0 +1,22 @@
+// Shared Helpers Module
+// Small helpers used by several modules.
+
+// For text and attribute values alike in template markup
+export function escapeHTML(value) {
+    const div = document.createElement('div');
+    div.textContent = String(value ?? '');
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+export function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Unique enough for tabs, sessions and submissions, and sortable by time
+export function createId(time = Date.now()) {
+    return `${time.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
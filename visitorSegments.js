@@ -0,0 +1,109 @@
+// Visitor Segments Module
+// Classifies visitors into personas (recruiter, developer, client) from what
+// they do on the page, where they came from (referrer, utm_* parameters) and
+// what they pick in the contact form. Returning visitors are flagged
+// separately since any persona can come back.
+export class VisitorSegmenter {
+    constructor(config = {}) {
+        this.threshold = config.threshold ?? 0.5;
+        this.referrers = {};
+        Object.entries(VisitorSegmenter.defaultReferrers).forEach(([persona, hosts]) => {
+            this.referrers[persona] = [...hosts, ...((config.referrers || {})[persona] || [])];
+        });
+    }
+
+    // data: lifetime tracker data, recent: rolling-window metrics.
+    // Returns { segment, segments } where segments holds a 0-1 score per persona.
+    classify(data, recent) {
+        const source = (data.session && data.session.acquisition) || data.acquisition || {};
+        const utm = source.utm || {};
+        const time = Object.values(data.timeOnSections).reduce((a, b) => a + b, 0) || 1;
+        const share = (section) => (data.timeOnSections[section] || 0) / time;
+        const from = (persona) => this.matchesSource(persona, source.referrer, utm);
+
+        const segments = {
+            recruiter: this.score([
+                [from('recruiter'), 0.5],
+                [data.clicks.linkedin > 0, 0.2],
+                [share('about') >= 0.35, 0.2],
+                [data.sectionViews.about >= 2, 0.1],
+                [data.sectionViews.contact > 0 && !data.contactSubject, 0.1]
+            ]),
+            developer: this.score([
+                [from('developer'), 0.5],
+                [data.clicks.github > 0, 0.3],
+                [data.clicks.projects >= 3, 0.1],
+                [share('projects') >= 0.35, 0.1]
+            ]),
+            client: this.score([
+                [from('client'), 0.3],
+                [VisitorSegmenter.clientSubjects.includes(data.contactSubject), 0.5],
+                [data.clicks.cta >= 2 || data.clicks.contact >= 2, 0.2]
+            ]),
+            returning: data.visitCount > 1 || recent.sessions > 1 ? 1 : 0
+        };
+
+        const [best, bestScore] = ['recruiter', 'developer', 'client']
+            .map(persona => [persona, segments[persona]])
+            .sort((a, b) => b[1] - a[1])[0];
+
+        return {
+            segment: bestScore >= this.threshold ? best : 'none',
+            segments
+        };
+    }
+
+    score(checks) {
+        return Math.min(1, checks.reduce((total, [matches, weight]) => total + (matches ? weight : 0), 0));
+    }
+
+    matchesSource(persona, referrer, utm) {
+        const hosts = this.referrers[persona] || [];
+        const fromHost = Boolean(referrer) && hosts.some(host => referrer === host || referrer.endsWith(`.${host}`));
+        const fromCampaign = [utm.source, utm.medium, utm.campaign]
+            .filter(Boolean)
+            .some(value => VisitorSegmenter.utmKeywords[persona].some(keyword => value.toLowerCase().includes(keyword)));
+        return fromHost || fromCampaign;
+    }
+}
+
+VisitorSegmenter.defaultReferrers = {
+    recruiter: ['linkedin.com', 'indeed.com', 'glassdoor.com', 'wellfound.com'],
+    developer: ['github.com', 'stackoverflow.com', 'dev.to', 'news.ycombinator.com', 'reddit.com'],
+    client: ['google.com', 'bing.com', 'duckduckgo.com']
+};
+
+VisitorSegmenter.utmKeywords = {
+    recruiter: ['linkedin', 'job', 'recruit', 'hiring', 'career'],
+    developer: ['github', 'devto', 'hackernews', 'opensource'],
+    client: ['cpc', 'ads', 'paid', 'client', 'agency']
+};
+
+// Contact form subjects only a prospective client would pick
+VisitorSegmenter.clientSubjects = ['evolution', 'ai', 'consulting'];
+
+// What each persona's evolution changes: hero copy, the primary call to
+// action and the order of the sections below the hero
+export const SEGMENT_PERSONAS = {
+    recruiter: {
+        title: ['Hiring a', 'Front-End Engineer?', 'Let\'s Talk'],
+        description: 'The short version up front: my background, my skills and the quickest way to reach me.',
+        cta: { label: 'View My Experience', section: 'about' },
+        sections: ['about', 'contact', 'projects'],
+        notice: '👔 Experience first! We moved my background and contact details up for you.'
+    },
+    developer: {
+        title: ['Code That', 'Evolves Itself', 'In The Open'],
+        description: 'Dig into how it works: rule engines, interaction trackers and undoable DOM changes, all on GitHub.',
+        cta: { label: 'Browse The Projects', section: 'projects' },
+        sections: ['projects', 'about', 'contact'],
+        notice: '💻 Projects first! Looks like you came for the code.'
+    },
+    client: {
+        title: ['Websites That', 'Grow Your Business', 'On Their Own'],
+        description: 'Your site learns what your customers want and adapts to it. Tell me about your project.',
+        cta: { label: 'Start Your Project', section: 'contact' },
+        sections: ['projects', 'contact', 'about'],
+        notice: '🤝 Ready when you are! We put examples and the contact form right up front.'
+    }
+};